@@ -0,0 +1,204 @@
+/**
+ * Guitar Tab Web Player - ASCII Tab Export
+ * Writes the loaded tab as aligned plain-text staves for forum posts and chat
+ */
+
+class AsciiTabExporter {
+    /**
+     * Build an ASCII tab from the sequencer's tab data
+     * @param {TabSequencer} sequencer - Sequencer with tab data loaded
+     * @param {string[]} tuningNames - String labels, index 0 = top line of the tab
+     * @param {Object} options - Optional { title, tempo, maxWidth }
+     * @returns {string} Tab text
+     */
+    static createAsciiTab(sequencer, tuningNames, options = {}) {
+        const maxWidth = options.maxWidth || AsciiTabExporter.MAX_WIDTH;
+        const labelWidth = Math.max(...tuningNames.map(name => name.length));
+        const labels = tuningNames.map(name => name.padStart(labelWidth));
+
+        const lines = [];
+        if (options.title) {
+            lines.push(options.title);
+        }
+        if (options.tempo) {
+            lines.push(`Tempo: ${options.tempo} BPM`);
+        }
+        lines.push(`Tuning: ${tuningNames.slice().reverse().join(' ')}`, '');
+
+        // Render every measure to columns, then wrap them into rows of staves
+        const measures = sequencer.tabData.measures.map((measure, i) =>
+            this.renderMeasure(measure, i, sequencer.measureTimeline[i].beats, tuningNames.length));
+        this.layoutNotes(measures);
+
+        let row = [];
+        let rowWidth = labelWidth + 1;
+        for (const measure of measures) {
+            if (row.length > 0 && rowWidth + measure.width + 1 > maxWidth) {
+                lines.push(...this.renderRow(row, labels), '');
+                row = [];
+                rowWidth = labelWidth + 1;
+            }
+            row.push(measure);
+            rowWidth += measure.width + 1;
+        }
+        if (row.length > 0) {
+            lines.push(...this.renderRow(row, labels));
+        }
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Lay out one measure: pick the coarsest grid that holds every note,
+     * then size each grid column to its widest fret text
+     */
+    static renderMeasure(measure, measureIndex, beats, stringCount) {
+        const notes = measure.notes.filter(note => note.fret >= 0 && note.string < stringCount);
+        const slotsPerBeat = AsciiTabExporter.GRID_RESOLUTIONS.find(resolution =>
+            notes.every(note => Math.abs(note.beatPosition * resolution - Math.round(note.beatPosition * resolution)) < 0.01)
+        ) || 48;
+        const slotCount = Math.max(1, Math.round(beats * slotsPerBeat));
+
+        // cells[slot][string] = note (first note wins when two share a string and slot)
+        const cells = Array.from({ length: slotCount }, () => new Array(stringCount).fill(null));
+        for (const note of notes) {
+            const slot = Math.min(slotCount - 1, Math.round(note.beatPosition * slotsPerBeat));
+            if (!cells[slot][note.string]) {
+                cells[slot][note.string] = note;
+            }
+        }
+
+        return {
+            measureIndex,
+            notes,
+            cells,
+            slotsPerBeat,
+            minSlotWidth: slotsPerBeat <= 2 ? 3 : 2,
+            tripletRegions: measure.tripletRegions || [],
+            width: 0 // Set once the note texts are known, see layoutNotes
+        };
+    }
+
+    /**
+     * Work out the text of every note (techniques need the previous note on
+     * the string, which may be in an earlier measure) and the measure widths
+     */
+    static layoutNotes(measures) {
+        const previousByString = [];
+        for (const measure of measures) {
+            measure.texts = measure.cells.map(slot => slot.map(note => {
+                if (!note) return null;
+                const previous = previousByString[note.string];
+                previousByString[note.string] = note;
+                return this.getNoteText(note, previous);
+            }));
+
+            measure.slotWidths = measure.texts.map(slot =>
+                Math.max(measure.minSlotWidth, ...slot.map(text => (text ? text.length + 1 : 0))));
+            measure.width = 1 + measure.slotWidths.reduce((sum, width) => sum + width, 0);
+        }
+    }
+
+    /**
+     * Fret text with technique markers: h7, p5, /9, \5, 7b9, 5~
+     */
+    static getNoteText(note, previous) {
+        let text = `${note.fret}`;
+        if (note.hammerOn) {
+            text = 'h' + text;
+        } else if (note.pullOff) {
+            text = 'p' + text;
+        } else if (note.slide) {
+            text = (previous && previous.fret > note.fret ? '\\' : '/') + text;
+        }
+        if (note.bend) {
+            text += `b${note.fret + Math.round(note.bend)}`;
+        }
+        if (note.vibrato) {
+            text += '~';
+        }
+        return text;
+    }
+
+    /**
+     * Render a row of measures: measure numbers (and triplet brackets) above,
+     * the staff lines, and a palm mute line below when needed
+     */
+    static renderRow(measures, labels) {
+        const indent = ' '.repeat(labels[0].length + 1);
+        let numberLine = indent;
+        let tripletLine = indent;
+        let palmMuteLine = indent;
+        const staffLines = labels.map(label => label + '|');
+
+        for (const measure of measures) {
+            numberLine += `${measure.measureIndex + 1}`.padEnd(measure.width + 1);
+
+            // Column where each slot starts, relative to the measure
+            const slotStarts = [];
+            let column = 1;
+            for (const width of measure.slotWidths) {
+                slotStarts.push(column);
+                column += width;
+            }
+
+            const triplets = ' '.repeat(measure.width + 1).split('');
+            for (const { region } of measure.tripletRegions) {
+                const startSlot = Math.min(slotStarts.length - 1, Math.round(region.startBeat * measure.slotsPerBeat));
+                const endSlot = Math.min(slotStarts.length - 1, Math.max(startSlot, Math.round(region.endBeat * measure.slotsPerBeat) - 1));
+                const from = slotStarts[startSlot];
+                const to = slotStarts[endSlot] + 1;
+                for (let c = from; c <= to; c++) {
+                    triplets[c] = '-';
+                }
+                triplets[from] = '<';
+                triplets[to] = '>';
+                triplets[Math.floor((from + to) / 2)] = '3';
+            }
+            tripletLine += triplets.join('');
+
+            staffLines.forEach((line, string) => {
+                let text = '-';
+                measure.texts.forEach((slot, s) => {
+                    text += (slot[string] || '').padEnd(measure.slotWidths[s], '-');
+                });
+                staffLines[string] = line + text + '|';
+            });
+
+            // "P.M." under the first palm-muted slot of a run, dashes under the rest
+            const palmMute = ' '.repeat(measure.width + 1).split('');
+            let previousMuted = false;
+            measure.cells.forEach((slot, s) => {
+                if (!slot.some(note => note && note.palmMute)) {
+                    if (slot.some(note => note)) previousMuted = false;
+                    return;
+                }
+                if (previousMuted) {
+                    for (let c = slotStarts[s - 1]; c <= slotStarts[s]; c++) {
+                        if (palmMute[c] === ' ') palmMute[c] = '-';
+                    }
+                } else {
+                    'P.M.'.split('').forEach((char, k) => {
+                        if (slotStarts[s] + k < palmMute.length) palmMute[slotStarts[s] + k] = char;
+                    });
+                }
+                previousMuted = true;
+            });
+            palmMuteLine += palmMute.join('');
+        }
+
+        const lines = [numberLine.trimEnd()];
+        if (tripletLine.trim()) {
+            lines.push(tripletLine.trimEnd());
+        }
+        lines.push(...staffLines);
+        if (palmMuteLine.trim()) {
+            lines.push(palmMuteLine.trimEnd());
+        }
+        return lines;
+    }
+}
+
+AsciiTabExporter.MAX_WIDTH = 80;
+// Grid slots per quarter note, coarsest first (3, 6 and 12 hold triplets)
+AsciiTabExporter.GRID_RESOLUTIONS = [1, 2, 4, 3, 6, 8, 12, 16, 24];
@@ -0,0 +1,448 @@
+/**
+ * Guitar Tab Web Player - ASCII Tab Import
+ * Parses plain-text tabs (e|---0---3---|) into the measures/notes structure
+ * accepted by TabDataDecoder.validateTabData
+ */
+
+class AsciiTabImporter {
+    /**
+     * Quick check used to route pasted or loaded text to this importer
+     * @param {string} text
+     * @returns {boolean}
+     */
+    static looksLikeAsciiTab(text) {
+        const lines = text.split(/\r?\n/);
+        let staffLines = 0;
+        for (const line of lines) {
+            if (this.parseStaffLine(line)) {
+                staffLines++;
+                if (staffLines >= AsciiTabImporter.MIN_STRINGS) return true;
+            } else {
+                staffLines = 0;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Parse an ASCII tab into version 2 tab data
+     * @param {string} text - Tab text with one or more blocks of staff lines
+     * @returns {Object} Tab data with title, tempo, instrumentConfig and measures
+     */
+    static parse(text) {
+        const lines = text.replace(/\t/g, '    ').split(/\r?\n/);
+        const blocks = this.findBlocks(lines);
+        if (blocks.length === 0) {
+            throw new Error('No tab staves found (expected lines like "e|---0---3---|")');
+        }
+
+        // Tuning comes from the first block; every block must have the same number of strings
+        const stringCount = blocks[0].staves.length;
+        const tuning = this.parseTuning(blocks[0].staves.map(staff => staff.label), stringCount);
+
+        const measures = [];
+        for (const block of blocks) {
+            if (block.staves.length !== stringCount) {
+                console.warn(`Skipping tab block at line ${block.lineIndex + 1}: ${block.staves.length} strings instead of ${stringCount}`);
+                continue;
+            }
+
+            const blockMeasures = this.parseBlock(block);
+            for (let i = 0; i < block.repeat; i++) {
+                // Repeats get their own copies so later processing can annotate notes independently
+                measures.push(...(i === 0 ? blockMeasures : JSON.parse(JSON.stringify(blockMeasures))));
+            }
+        }
+
+        const tabData = {
+            version: 2,
+            title: this.findTitle(lines, blocks[0].lineIndex),
+            instrumentConfig: {
+                name: stringCount === 6 ? 'Guitar' : `${stringCount}-string instrument`,
+                strings: tuning.map(t => ({ name: t.name, midiNote: t.midiNote }))
+            },
+            measures
+        };
+
+        const tempo = this.findTempo(lines);
+        if (tempo) {
+            tabData.tempo = tempo;
+        }
+
+        console.log(`ASCII import: ${blocks.length} blocks, ${measures.length} measures, ${stringCount} strings`);
+        return tabData;
+    }
+
+    /**
+     * Split a staff line into its tuning label and content (from the first bar or dash).
+     * Returns null for lines that are not staff lines.
+     */
+    static parseStaffLine(line) {
+        const match = line.match(/^\s*([A-Ga-g](?:#|b)?\d?)?\s*([|\-].*)$/);
+        if (!match) return null;
+
+        const content = match[2].replace(/\s+$/, '');
+        const dashes = (content.match(/-/g) || []).length;
+        const staffChars = (content.match(/[-|0-9]/g) || []).length;
+        const visibleChars = content.replace(/\s/g, '').length;
+        if (dashes < 3 || staffChars < visibleChars * 0.6) return null;
+
+        return {
+            label: match[1] || null,
+            content,
+            contentStart: line.length - match[2].length
+        };
+    }
+
+    /**
+     * Group consecutive staff lines into blocks, picking up a rhythm line
+     * directly above and a repeat count after each block
+     */
+    static findBlocks(lines) {
+        const blocks = [];
+        let i = 0;
+        while (i < lines.length) {
+            const staff = this.parseStaffLine(lines[i]);
+            if (!staff) {
+                i++;
+                continue;
+            }
+
+            const block = { lineIndex: i, staves: [], rhythm: null, repeat: 1 };
+            while (i < lines.length) {
+                const line = this.parseStaffLine(lines[i]);
+                if (!line) break;
+                block.staves.push(line);
+                i++;
+            }
+
+            if (block.lineIndex > 0 && this.isRhythmLine(lines[block.lineIndex - 1])) {
+                block.rhythm = lines[block.lineIndex - 1];
+            }
+
+            // "x3" after the last bar of a staff line, or on the line below the block
+            const repeatSources = block.staves.map(s => s.content.slice(s.content.lastIndexOf('|') + 1));
+            if (i < lines.length) {
+                repeatSources.push(lines[i]);
+            }
+            for (const source of repeatSources) {
+                const repeat = source.match(/^\s*(?:x\s*(\d+)|(\d+)\s*x|repeat\s*(\d+)(?:\s*x)?|\(x\s*(\d+)\))\s*$/i);
+                if (repeat) {
+                    block.repeat = Math.max(1, Math.min(AsciiTabImporter.MAX_REPEAT, parseInt(repeat[1] || repeat[2] || repeat[3] || repeat[4])));
+                    break;
+                }
+            }
+
+            // A lone dashed line is a text separator, not a staff
+            if (block.staves.length >= AsciiTabImporter.MIN_STRINGS) {
+                blocks.push(block);
+            }
+        }
+        return blocks;
+    }
+
+    /**
+     * A rhythm line holds only duration letters (W H Q E S T), dots and spaces
+     */
+    static isRhythmLine(line) {
+        return /[WHQEST]/i.test(line) && /^[\sWHQESTwhqest.|]+$/.test(line);
+    }
+
+    /**
+     * Turn tuning labels into MIDI notes. Labels without an octave are placed
+     * from the lowest string up: the bottom string near E2, each string above
+     * it at the nearest higher pitch.
+     */
+    static parseTuning(labels, stringCount) {
+        if (labels.some(label => !label)) {
+            return this.getDefaultTuning(stringCount);
+        }
+
+        const tuning = new Array(stringCount);
+        let previous = null;
+        for (let i = stringCount - 1; i >= 0; i--) {
+            const label = labels[i];
+            const pitchClass = this.getPitchClass(label);
+            const octave = label.match(/\d$/);
+
+            let midiNote;
+            if (octave) {
+                midiNote = (parseInt(octave[0]) + 1) * 12 + pitchClass;
+            } else if (previous === null) {
+                midiNote = 36 + ((pitchClass - 36 % 12 + 12) % 12); // C2..B2
+                if (midiNote > 45) midiNote -= 12; // Keep B and A# strings low (7-string, drop tunings)
+            } else {
+                midiNote = previous + 1 + ((pitchClass - (previous + 1) % 12 + 12) % 12);
+            }
+
+            tuning[i] = { name: label.replace(/\d$/, ''), midiNote };
+            previous = midiNote;
+        }
+        return tuning;
+    }
+
+    static getPitchClass(label) {
+        const base = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 }[label[0].toUpperCase()];
+        if (label[1] === '#') return (base + 1) % 12;
+        if (label[1] === 'b') return (base + 11) % 12;
+        return base;
+    }
+
+    /**
+     * Standard tuning for unlabeled staves, continuing down in fourths for extra strings
+     */
+    static getDefaultTuning(stringCount) {
+        const names = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+        const standard = [64, 59, 55, 50, 45, 40];
+        const tuning = [];
+        for (let i = 0; i < stringCount; i++) {
+            const midiNote = i < standard.length ? standard[i] : standard[standard.length - 1] - 5 * (i - standard.length + 1);
+            tuning.push({ name: names[midiNote % 12], midiNote });
+        }
+        if (stringCount >= 6) {
+            tuning[0].name = tuning[0].name.toLowerCase();
+        }
+        return tuning;
+    }
+
+    /**
+     * Parse one block into measures. Bar positions come from the first staff
+     * line; each measure's notes are timed from the rhythm line when there is
+     * one, otherwise from their column spacing.
+     */
+    static parseBlock(block) {
+        const reference = block.staves[0];
+        const segments = this.findSegments(reference.content);
+
+        // Parse every measure's onsets first so the spacing heuristic can look at the whole block
+        const parsedMeasures = segments.map(segment => {
+            const notes = [];
+            block.staves.forEach((staff, string) => {
+                // Align staves by their content start, so label widths do not matter
+                const text = staff.content.slice(segment.start, segment.end);
+                notes.push(...this.parseStaffSegment(text, string));
+            });
+            return { segment, notes };
+        });
+
+        const firstColumns = parsedMeasures.filter(m => m.notes.length > 0).map(m => Math.min(...m.notes.map(n => n.column)));
+        const lead = Math.min(AsciiTabImporter.MAX_LEAD, firstColumns.length > 0 ? Math.min(...firstColumns) : 0);
+
+        return parsedMeasures.map(({ segment, notes }) => {
+            const width = segment.end - segment.start;
+            let timing = null;
+            if (block.rhythm) {
+                timing = this.timeFromRhythmLine(notes, block.rhythm, reference.contentStart + segment.start);
+            }
+            if (!timing) {
+                timing = this.timeFromSpacing(notes, width, lead);
+            }
+
+            const measure = { notes: this.finishNotes(notes, timing) };
+            if (timing.timeSignature) {
+                measure.timeSignature = timing.timeSignature;
+            }
+            return measure;
+        });
+    }
+
+    /**
+     * Column ranges between bar lines (runs of | and : count as one bar)
+     */
+    static findSegments(content) {
+        const segments = [];
+        const barRuns = [...content.matchAll(/[|:]*\|[|:]*/g)];
+        let start = 0;
+        for (const run of barRuns) {
+            if (run.index > start) {
+                segments.push({ start, end: run.index });
+            }
+            start = run.index + run[0].length;
+        }
+
+        // Content after the last bar only counts when it is more staff, not a repeat mark
+        const rest = content.slice(start);
+        if (/-{3,}/.test(rest) && (rest.match(/[-0-9]/g) || []).length >= rest.trim().length * 0.6) {
+            segments.push({ start, end: content.length });
+        }
+        return segments;
+    }
+
+    /**
+     * Read the notes on one string within one measure. Techniques written
+     * before a fret (h, p, /, \, s) apply to it; b (bend), r (release) and ~
+     * (vibrato) after a fret apply to the fret before.
+     */
+    static parseStaffSegment(text, string) {
+        const notes = [];
+        let pendingLegato = null;
+        let i = 0;
+        while (i < text.length) {
+            const char = text[i];
+
+            if (/\d/.test(char)) {
+                // Multi-digit frets: two digits at most, as long as they form a playable fret
+                let digits = char;
+                if (i + 1 < text.length && /\d/.test(text[i + 1]) && parseInt(char + text[i + 1]) <= AsciiTabImporter.MAX_FRET) {
+                    digits += text[i + 1];
+                }
+                const note = { string, fret: parseInt(digits), column: i };
+                if (pendingLegato) {
+                    note[pendingLegato] = true;
+                    pendingLegato = null;
+                }
+                notes.push(note);
+                i += digits.length;
+                continue;
+            }
+
+            const last = notes[notes.length - 1];
+            if (char === 'h' || char === 'H') {
+                pendingLegato = 'hammerOn';
+            } else if (char === 'p' || char === 'P') {
+                pendingLegato = 'pullOff';
+            } else if (char === '/' || char === '\\' || char === 's' || char === 'S') {
+                pendingLegato = 'slide';
+            } else if (char === '~' && last) {
+                last.vibrato = true;
+            } else if ((char === 'b' || char === 'B') && last) {
+                // 7b9 bends a whole step; a bare b means a full bend
+                const target = text.slice(i + 1).match(/^\(?(\d{1,2})\)?/);
+                last.bend = target ? Math.max(1, Math.min(4, parseInt(target[1]) - last.fret)) : 2;
+                i += 1 + (target ? target[0].length : 0);
+
+                // Skip a release back to the original fret (7b9r7)
+                const release = text.slice(i).match(/^[rR]\(?\d{1,2}\)?/);
+                if (release) {
+                    i += release[0].length;
+                }
+                continue;
+            } else if (char === '-' || char === '|') {
+                // A legato marker only joins adjacent frets
+                if (pendingLegato && text[i + 1] === '-') {
+                    pendingLegato = null;
+                }
+            }
+            i++;
+        }
+        return notes;
+    }
+
+    /**
+     * Spacing heuristic: the smallest gap between onsets in the measure is
+     * one rhythmic slot, and the measure (4/4) is divided into a musically
+     * sensible number of those slots
+     */
+    static timeFromSpacing(notes, width, lead) {
+        const beats = 4;
+        const columns = [...new Set(notes.map(n => n.column))].sort((a, b) => a - b);
+        if (columns.length === 0) {
+            return { beats, positions: new Map() };
+        }
+
+        let unit = width - lead;
+        for (let i = 1; i < columns.length; i++) {
+            unit = Math.min(unit, columns[i] - columns[i - 1]);
+        }
+        unit = Math.max(1, unit);
+
+        const slotOf = column => Math.max(0, Math.round((column - lead) / unit));
+        const neededSlots = Math.max(slotOf(columns[columns.length - 1]) + 1, Math.floor((width - lead) / unit), 1);
+        const slots = AsciiTabImporter.SLOT_COUNTS.find(count => count >= neededSlots) || neededSlots;
+
+        const positions = new Map(columns.map(column => [column, slotOf(column) * beats / slots]));
+        return { beats, positions };
+    }
+
+    /**
+     * Time onsets from duration letters written above them (W H Q E S T, with a
+     * dot for dotted notes). Returns null when the line does not cover the measure.
+     */
+    static timeFromRhythmLine(notes, rhythmLine, offset) {
+        const columns = [...new Set(notes.map(n => n.column))].sort((a, b) => a - b);
+        if (columns.length === 0) return null;
+
+        const positions = new Map();
+        let beat = 0;
+        for (const column of columns) {
+            // Accept a letter up to one column to either side of the fret
+            let duration = null;
+            for (const delta of [0, -1, 1]) {
+                const index = offset + column + delta;
+                const letter = (rhythmLine[index] || '').toUpperCase();
+                if (AsciiTabImporter.RHYTHM_LETTERS[letter]) {
+                    duration = AsciiTabImporter.RHYTHM_LETTERS[letter] * (rhythmLine[index + 1] === '.' ? 1.5 : 1);
+                    break;
+                }
+            }
+            if (duration === null) return null;
+
+            positions.set(column, beat);
+            beat += duration;
+        }
+
+        // The measure is as long as its written durations, expressed in quarters or eighths
+        let timeSignature = null;
+        if (Number.isInteger(beat) && beat !== 4) {
+            timeSignature = `${beat}/4`;
+        } else if (Number.isInteger(beat * 2) && beat !== 4) {
+            timeSignature = `${beat * 2}/8`;
+        }
+        return { beats: timeSignature ? beat : 4, positions, timeSignature };
+    }
+
+    /**
+     * Give notes their beat position and a duration lasting until the next onset
+     */
+    static finishNotes(notes, timing) {
+        const onsets = [...new Set(timing.positions.values())].sort((a, b) => a - b);
+        return notes.map(parsed => {
+            const beatPosition = timing.positions.get(parsed.column);
+            const next = onsets.find(onset => onset > beatPosition);
+            const note = {
+                string: parsed.string,
+                fret: parsed.fret,
+                beatPosition,
+                beatDuration: (next !== undefined ? next : timing.beats) - beatPosition
+            };
+            for (const field of ['bend', 'slide', 'hammerOn', 'pullOff', 'vibrato']) {
+                if (parsed[field] !== undefined) {
+                    note[field] = parsed[field];
+                }
+            }
+            return note;
+        }).sort((a, b) => a.beatPosition - b.beatPosition || a.string - b.string);
+    }
+
+    /**
+     * First non-staff line above the first block, if any
+     */
+    static findTitle(lines, firstBlockLine) {
+        for (let i = 0; i < firstBlockLine; i++) {
+            const line = lines[i].trim();
+            if (line && !this.isRhythmLine(line) && !/^(tuning|tempo|capo|bpm)\b/i.test(line) && !/\bbpm\b/i.test(line)) {
+                return line.slice(0, 100);
+            }
+        }
+        return AsciiTabImporter.DEFAULT_TITLE;
+    }
+
+    static findTempo(lines) {
+        for (const line of lines) {
+            const match = line.match(/(?:tempo\s*[:=]?\s*(\d{2,3}))|(?:(\d{2,3})\s*bpm)/i);
+            if (match) {
+                const tempo = parseInt(match[1] || match[2]);
+                if (tempo >= 20 && tempo <= 400) return tempo;
+            }
+        }
+        return null;
+    }
+}
+
+AsciiTabImporter.MIN_STRINGS = 3;
+AsciiTabImporter.DEFAULT_TITLE = 'Imported Tab';
+AsciiTabImporter.MAX_FRET = 36;
+AsciiTabImporter.MAX_REPEAT = 16;
+AsciiTabImporter.MAX_LEAD = 2; // Columns of padding allowed before the first beat of a measure
+AsciiTabImporter.SLOT_COUNTS = [1, 2, 3, 4, 6, 8, 12, 16, 24, 32];
+AsciiTabImporter.RHYTHM_LETTERS = { W: 4, H: 2, Q: 1, E: 0.5, S: 0.25, T: 0.125 };
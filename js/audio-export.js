@@ -0,0 +1,130 @@
+/**
+ * Guitar Tab Web Player - Audio Export
+ * Renders the tab through the GuitarAudioEngine voices on an OfflineAudioContext
+ * and encodes the result as a 16-bit PCM WAV file
+ */
+
+class AudioExporter {
+    /**
+     * Render the tab (or the active loop range) faster than real time
+     * @param {TabSequencer} sequencer - Sequencer with tab data loaded
+     * @param {GuitarAudioEngine} liveEngine - Engine whose tuning and voice are copied
+     * @param {Object} options - Optional { tempo, voiceType, sampleRate }
+     * @returns {Promise<AudioBuffer>} Rendered audio
+     */
+    static async renderTab(sequencer, liveEngine, options = {}) {
+        const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        if (!OfflineContext) {
+            throw new Error('OfflineAudioContext is not supported in this browser');
+        }
+
+        const tempo = options.tempo || sequencer.tempo;
+        const sampleRate = options.sampleRate || AudioExporter.SAMPLE_RATE;
+        const secondsPerBeat = 60.0 / tempo;
+
+        // Same range as playback: the loop range when looping, otherwise the whole tab
+        const startBeat = sequencer.isLooping ? sequencer.getMeasureStartBeat(sequencer.loopStartMeasure - 1) : 0;
+        const endBeat = sequencer.isLooping ? sequencer.getMeasureEndBeat(sequencer.loopEndMeasure - 1) : sequencer.totalBeats;
+        const length = Math.ceil(((endBeat - startBeat) * secondsPerBeat + AudioExporter.TAIL_SECONDS) * sampleRate);
+
+        const context = new OfflineContext(1, length, sampleRate);
+
+        // A fresh engine with the live tuning, so the render is independent of playback state
+        const engine = new GuitarAudioEngine();
+        engine.tuning = liveEngine.tuning.slice();
+        engine.stringCharacteristics = liveEngine.stringCharacteristics.map(c => ({ ...c }));
+        engine.voiceType = options.voiceType || liveEngine.voiceType;
+        engine.attachContext(context);
+
+        const notes = sequencer.collectNotes().filter(n => n.beatPosition >= startBeat && n.beatPosition < endBeat);
+        const scheduleAll = () => {
+            engine.voiceSeed = 1;
+            engine.lastMidiNoteByString = [];
+            for (const noteData of notes) {
+                const time = (noteData.beatPosition - startBeat) * secondsPerBeat;
+                const duration = Math.min(noteData.beatDuration, endBeat - noteData.beatPosition) * secondsPerBeat;
+                engine.scheduleNote(noteData.note, time, duration);
+            }
+        };
+
+        if (engine.voiceType === 'karplus-strong') {
+            // Queue the plucked notes so the worklet receives them when it is created
+            engine.pluckMessageQueue = [];
+            scheduleAll();
+            await engine.loadVoiceWorklet();
+
+            // The worklet could not load: the engine switched to the additive voice
+            if (!engine.pluckNode) {
+                scheduleAll();
+            }
+        } else {
+            scheduleAll();
+        }
+
+        console.log(`Rendering ${notes.length} notes (${(length / sampleRate).toFixed(1)}s) at ${tempo} BPM`);
+        return context.startRendering();
+    }
+
+    /**
+     * Encode an AudioBuffer as a 16-bit PCM WAV file. Audio that would clip is
+     * scaled down to just below full scale.
+     * @param {AudioBuffer} buffer - Rendered audio
+     * @returns {ArrayBuffer} WAV file contents
+     */
+    static encodeWav(buffer) {
+        const channelCount = buffer.numberOfChannels;
+        const frameCount = buffer.length;
+        const channels = [];
+        let peak = 0;
+        for (let c = 0; c < channelCount; c++) {
+            const data = buffer.getChannelData(c);
+            channels.push(data);
+            for (let i = 0; i < frameCount; i++) {
+                peak = Math.max(peak, Math.abs(data[i]));
+            }
+        }
+        const scale = peak > AudioExporter.MAX_PEAK ? AudioExporter.MAX_PEAK / peak : 1;
+
+        const bytesPerSample = 2;
+        const blockAlign = channelCount * bytesPerSample;
+        const dataSize = frameCount * blockAlign;
+        const view = new DataView(new ArrayBuffer(44 + dataSize));
+
+        const writeString = (offset, text) => {
+            for (let i = 0; i < text.length; i++) {
+                view.setUint8(offset + i, text.charCodeAt(i));
+            }
+        };
+
+        // RIFF header and PCM format chunk
+        writeString(0, 'RIFF');
+        view.setUint32(4, 36 + dataSize, true);
+        writeString(8, 'WAVE');
+        writeString(12, 'fmt ');
+        view.setUint32(16, 16, true);
+        view.setUint16(20, 1, true); // PCM
+        view.setUint16(22, channelCount, true);
+        view.setUint32(24, buffer.sampleRate, true);
+        view.setUint32(28, buffer.sampleRate * blockAlign, true);
+        view.setUint16(32, blockAlign, true);
+        view.setUint16(34, 16, true);
+        writeString(36, 'data');
+        view.setUint32(40, dataSize, true);
+
+        // Interleaved samples
+        let offset = 44;
+        for (let i = 0; i < frameCount; i++) {
+            for (let c = 0; c < channelCount; c++) {
+                const sample = Math.max(-1, Math.min(1, channels[c][i] * scale));
+                view.setInt16(offset, Math.round(sample * 32767), true);
+                offset += bytesPerSample;
+            }
+        }
+
+        return view.buffer;
+    }
+}
+
+AudioExporter.SAMPLE_RATE = 44100;
+AudioExporter.TAIL_SECONDS = 2.0; // Let the last notes ring out
+AudioExporter.MAX_PEAK = 0.99;
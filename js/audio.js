@@ -11,46 +11,174 @@ class GuitarAudioEngine {
         this.activeVoices = new Map();
         this.activeOscillators = new Set();
         this.isInitialized = false;
+        this.initPromise = null; // Shared by concurrent initialize() calls (Play and the unlock listener)
+        
+        // Voice used for notes: 'karplus-strong' (AudioWorklet plucked string) or 'additive' (oscillators)
+        this.voiceType = 'karplus-strong';
+        this.pluckNode = null;
+        this.pluckMessageQueue = null; // Notes held for the worklet until its node exists (offline renders)
+        this.voiceSeed = 1; // Seeds the pluck noise so renders are reproducible
+        this.onVoiceChangeCallback = null; // Told when the engine falls back to another voice
+        this.lastMidiNoteByString = []; // Pitch each string last played, for slides
         
         // Standard guitar tuning (MIDI notes): E4, B3, G3, D3, A2, E2
         this.standardTuning = [64, 59, 55, 50, 45, 40];
         
-        // String characteristics for realistic guitar behavior (much longer sustain)
-        this.stringCharacteristics = [
-            { damping: 0.9995, tension: 1.0, pluckPos: 0.3, isWound: false }, // High E
-            { damping: 0.9996, tension: 1.0, pluckPos: 0.3, isWound: false }, // B  
-            { damping: 0.9997, tension: 1.0, pluckPos: 0.3, isWound: false }, // G
-            { damping: 0.9998, tension: 1.0, pluckPos: 0.3, isWound: true },  // D
-            { damping: 0.9998, tension: 1.0, pluckPos: 0.3, isWound: true },  // A
-            { damping: 0.9999, tension: 1.0, pluckPos: 0.3, isWound: true }   // Low E
-        ];
+        // Active tuning (MIDI note per string, index 0 = top string of the tab)
+        this.tuning = this.standardTuning.slice();
+        
+        // String characteristics for realistic guitar behavior, derived per string from its pitch
+        this.stringCharacteristics = this.tuning.map(midiNote => this.deriveStringCharacteristics(midiNote));
+    }
+
+    /**
+     * Use the tuning and string count of the loaded tab's instrument configuration
+     * @param {Object} instrumentConfig - { name, strings: [{ name, midiNote }] }
+     */
+    setInstrumentConfig(instrumentConfig) {
+        const strings = instrumentConfig && Array.isArray(instrumentConfig.strings) ? instrumentConfig.strings : [];
+        
+        if (strings.length === 0) {
+            console.warn('Instrument config has no strings, using standard guitar tuning');
+            this.tuning = this.standardTuning.slice();
+        } else {
+            this.tuning = strings.map((string, i) =>
+                typeof string.midiNote === 'number' ? string.midiNote : this.getDefaultMidiNote(i));
+        }
+        
+        this.stringCharacteristics = this.tuning.map(midiNote => this.deriveStringCharacteristics(midiNote));
+        console.log('Audio tuning set to', this.tuning, 'for', instrumentConfig ? instrumentConfig.name : 'unknown instrument');
+    }
+
+    /**
+     * Fallback pitch for a string with no tuning information: standard guitar tuning,
+     * continuing down in fourths for extra low strings
+     */
+    getDefaultMidiNote(stringIndex) {
+        if (stringIndex < this.standardTuning.length) {
+            return this.standardTuning[stringIndex];
+        }
+        const lowest = this.standardTuning[this.standardTuning.length - 1];
+        return lowest - 5 * (stringIndex - this.standardTuning.length + 1);
+    }
+
+    /**
+     * Derive Karplus-Strong string parameters from the open string pitch.
+     * Lower strings sustain longer (E2 = 0.9999 up to E4 = 0.9995, as on the desktop synth)
+     * and strings below F3 are treated as wound.
+     */
+    deriveStringCharacteristics(midiNote) {
+        const damping = Math.max(0.999, Math.min(0.99995, 0.9999 - (midiNote - 40) * (0.0004 / 24)));
+        return {
+            damping,
+            tension: 1.0,
+            pluckPos: 0.3,
+            isWound: midiNote < 53
+        };
+    }
+
+    /**
+     * Create the audio context and load the voice worklet, once: calls made
+     * while it is under way wait for the same initialization
+     * @returns {Promise<void>}
+     */
+    initialize() {
+        if (!this.initPromise) {
+            this.initPromise = (async () => {
+                // Create audio context
+                const AudioContext = window.AudioContext || window.webkitAudioContext;
+                this.attachContext(new AudioContext());
+                
+                await this.loadVoiceWorklet();
+                
+                this.isInitialized = true;
+            })();
+            // Allow a retry after a failure
+            this.initPromise.catch((error) => {
+                console.error('Failed to initialize audio:', error);
+                this.initPromise = null;
+            });
+        }
+        return this.initPromise;
     }
 
-    async initialize() {
-        if (this.isInitialized) return;
+    /**
+     * Use an audio context (live or offline) and create the master gain on it
+     */
+    attachContext(audioContext) {
+        this.audioContext = audioContext;
+        
+        // Create master gain
+        this.masterGain = this.audioContext.createGain();
+        this.masterGain.gain.value = 0.3;
+        this.masterGain.connect(this.audioContext.destination);
+    }
 
+    /**
+     * Load the Karplus-Strong AudioWorklet and create the shared voice node.
+     * Notes already held in pluckMessageQueue are handed to the processor at
+     * construction. Falls back to the additive voice where AudioWorklet is
+     * unavailable (older browsers, pages opened from file://)
+     */
+    async loadVoiceWorklet() {
+        const queuedMessages = this.pluckMessageQueue || [];
+        this.pluckMessageQueue = null;
+        
+        if (!this.audioContext.audioWorklet || typeof AudioWorkletNode === 'undefined') {
+            console.warn('AudioWorklet not supported, using additive voice');
+            this.useAdditiveVoice();
+            return;
+        }
+        
         try {
-            // Create audio context
-            const AudioContext = window.AudioContext || window.webkitAudioContext;
-            this.audioContext = new AudioContext();
-            
-            // Create master gain
-            this.masterGain = this.audioContext.createGain();
-            this.masterGain.gain.value = 0.3;
-            this.masterGain.connect(this.audioContext.destination);
-            
-            this.isInitialized = true;
-            
+            await this.audioContext.audioWorklet.addModule(GuitarAudioEngine.WORKLET_URL);
+            this.pluckNode = new AudioWorkletNode(this.audioContext, 'karplus-strong', {
+                numberOfInputs: 0,
+                numberOfOutputs: 1,
+                outputChannelCount: [1],
+                processorOptions: { messages: queuedMessages }
+            });
+            this.pluckNode.connect(this.masterGain);
+            console.log('Karplus-Strong AudioWorklet loaded');
         } catch (error) {
-            console.error('Failed to initialize audio:', error);
-            throw error;
+            console.warn('Failed to load Karplus-Strong AudioWorklet, using additive voice:', error);
+            this.pluckNode = null;
+            this.useAdditiveVoice();
         }
     }
 
-    async ensureAudioContext() {
-        if (!this.isInitialized) {
-            await this.initialize();
+    /**
+     * Fall back to the additive voice and tell the UI, so a voice picker does
+     * not keep showing the plucked string
+     */
+    useAdditiveVoice() {
+        this.voiceType = 'additive';
+        if (this.onVoiceChangeCallback) {
+            this.onVoiceChangeCallback(this.voiceType);
         }
+    }
+
+    /**
+     * @param {Function} callback - Called with the voice type when the engine changes it by itself
+     */
+    setVoiceChangeCallback(callback) {
+        this.onVoiceChangeCallback = callback;
+    }
+
+    /**
+     * Select the synthesis voice ('karplus-strong' or 'additive')
+     */
+    setVoiceType(voiceType) {
+        if (voiceType === 'karplus-strong' && this.isInitialized && !this.pluckNode) {
+            console.warn('Karplus-Strong voice unavailable, keeping additive voice');
+            this.useAdditiveVoice();
+            return;
+        }
+        this.voiceType = voiceType;
+    }
+
+    async ensureAudioContext() {
+        await this.initialize();
         
         // Resume context if suspended (required for user interaction)
         if (this.audioContext.state === 'suspended') {
@@ -62,10 +190,10 @@ class GuitarAudioEngine {
      * Convert guitar string and fret to MIDI note number
      */
     noteEventToMidiNote(noteEvent) {
-        if (noteEvent.fret < 0 || noteEvent.string < 0 || noteEvent.string >= 6) {
+        if (noteEvent.fret < 0 || noteEvent.string < 0 || noteEvent.string >= this.tuning.length) {
             return -1;
         }
-        return this.standardTuning[noteEvent.string] + noteEvent.fret;
+        return this.tuning[noteEvent.string] + noteEvent.fret;
     }
 
     /**
@@ -73,12 +201,20 @@ class GuitarAudioEngine {
      */
     async playNote(noteEvent, startTime = 0, duration = 1.0) {
         await this.ensureAudioContext();
-        
+        this.scheduleNote(noteEvent, this.audioContext.currentTime + startTime, duration);
+    }
+
+    /**
+     * Schedule a note at an absolute AudioContext time (used by the lookahead scheduler)
+     */
+    scheduleNote(noteEvent, actualStartTime, duration = 1.0) {
         const midiNote = this.noteEventToMidiNote(noteEvent);
         if (midiNote < 0) return;
         
-        const actualStartTime = this.audioContext.currentTime + startTime;
         const velocity = 0.8; // Default velocity
+        const techniques = this.getNoteTechniques(noteEvent);
+        const previousMidiNote = this.lastMidiNoteByString[noteEvent.string];
+        this.lastMidiNoteByString[noteEvent.string] = midiNote;
         
         
         // TEST: Use simple oscillator first to verify Web Audio works
@@ -87,8 +223,13 @@ class GuitarAudioEngine {
             return;
         }
         
-        // Try simpler guitar synthesis approach
-        this.playSimpleGuitarNote(midiNote, actualStartTime, duration, noteEvent.string);
+        if (this.voiceType === 'karplus-strong' && (this.pluckNode || this.pluckMessageQueue)) {
+            this.playPluckedNote(midiNote, actualStartTime, duration, noteEvent.string, velocity, techniques);
+            return;
+        }
+        
+        // Additive oscillator voice
+        this.playSimpleGuitarNote(midiNote, actualStartTime, duration, noteEvent.string, techniques, previousMidiNote);
         
         // Clean up tracking after note ends  
         setTimeout(() => {
@@ -96,12 +237,71 @@ class GuitarAudioEngine {
         }, (duration + 2) * 1000); // Extra time for decay
     }
 
+    /**
+     * Read the optional technique fields of a note event
+     */
+    getNoteTechniques(noteEvent) {
+        let legato = null;
+        if (noteEvent.hammerOn) {
+            legato = 'hammer';
+        } else if (noteEvent.pullOff) {
+            legato = 'pull';
+        } else if (noteEvent.slide) {
+            legato = 'slide';
+        }
+        
+        return {
+            legato,
+            bend: noteEvent.bend || 0,
+            vibrato: !!noteEvent.vibrato,
+            palmMute: !!noteEvent.palmMute
+        };
+    }
+
+    /**
+     * Plucked string voice: hand the note to the Karplus-Strong worklet,
+     * which starts it on its exact sample frame and handles polyphony.
+     * Legato notes (hammer-on, pull-off, slide) re-pitch the ringing string
+     * instead of plucking it again.
+     */
+    playPluckedNote(midiNote, startTime, duration, stringIndex, velocity, techniques) {
+        const stringChar = this.stringCharacteristics[stringIndex];
+        const frequency = 440.0 * Math.pow(2, (midiNote - 69) / 12.0);
+        
+        // Palm mute: the string loses 60 dB within about a quarter of a second
+        const damping = techniques.palmMute ? Math.pow(0.001, 1 / (frequency * 0.25)) : stringChar.damping;
+        
+        const message = {
+            type: 'noteOn',
+            frequency,
+            startTime,
+            stopTime: startTime + duration,
+            velocity: techniques.palmMute ? velocity * 0.8 : velocity,
+            stringIndex,
+            damping,
+            pluckPos: stringChar.pluckPos,
+            isWound: stringChar.isWound,
+            legato: techniques.legato,
+            bend: techniques.bend,
+            vibrato: techniques.vibrato,
+            palmMute: techniques.palmMute,
+            seed: this.voiceSeed++
+        };
+        
+        if (this.pluckNode) {
+            this.pluckNode.port.postMessage(message);
+        } else {
+            this.pluckMessageQueue.push(message);
+        }
+    }
+
     /**
      * More realistic guitar synthesis using multiple harmonics
      */
-    playSimpleGuitarNote(midiNote, startTime, duration, stringIndex) {
+    playSimpleGuitarNote(midiNote, startTime, duration, stringIndex, techniques = this.getNoteTechniques({}), previousMidiNote = undefined) {
         const frequency = 440.0 * Math.pow(2, (midiNote - 69) / 12.0);
         const stringChar = this.stringCharacteristics[stringIndex];
+        const oscillators = [];
         
         // Create a mix gain node for all oscillators
         const mixGain = this.audioContext.createGain();
@@ -124,6 +324,21 @@ class GuitarAudioEngine {
             oscillator.frequency.value = harmonic.freq;
             oscillator.type = harmonic.type;
             
+            // Slides glide in from the string's previous pitch
+            if (techniques.legato === 'slide' && previousMidiNote !== undefined) {
+                const glideRatio = Math.pow(2, (previousMidiNote - midiNote) / 12.0);
+                oscillator.frequency.setValueAtTime(harmonic.freq * glideRatio, startTime);
+                oscillator.frequency.exponentialRampToValueAtTime(harmonic.freq, startTime + 0.06);
+            }
+            
+            // Bends rise between 10% and 40% of the note
+            if (techniques.bend > 0) {
+                oscillator.frequency.setValueAtTime(harmonic.freq, startTime + duration * 0.1);
+                oscillator.frequency.exponentialRampToValueAtTime(
+                    harmonic.freq * Math.pow(2, techniques.bend / 12.0), startTime + duration * 0.4);
+            }
+            oscillators.push(oscillator);
+            
             // Adjust harmonic amplitude based on string characteristics
             let harmonicAmp = harmonic.amp;
             if (stringChar.isWound && index > 1) {
@@ -150,7 +365,7 @@ class GuitarAudioEngine {
         // Create two filters in series for more natural rolloff
         const filter1 = this.audioContext.createBiquadFilter();
         filter1.type = 'lowpass';
-        filter1.frequency.value = frequency * (stringChar.isWound ? 4 : 6);
+        filter1.frequency.value = frequency * (techniques.palmMute ? 2 : (stringChar.isWound ? 4 : 6));
         filter1.Q.value = 1.5;
         
         const filter2 = this.audioContext.createBiquadFilter(); 
@@ -162,12 +377,25 @@ class GuitarAudioEngine {
         const envelope = this.audioContext.createGain();
         const sustainLevel = stringChar.damping * 0.25;
         
-        // Guitar-like envelope: sharp attack, quick initial decay, longer sustain
-        envelope.gain.setValueAtTime(0, startTime);
-        envelope.gain.linearRampToValueAtTime(1.0, startTime + 0.002); // Very fast pluck attack
-        envelope.gain.exponentialRampToValueAtTime(0.4, startTime + 0.05); // Initial decay
-        envelope.gain.exponentialRampToValueAtTime(sustainLevel, startTime + 0.2); // Sustain level
-        envelope.gain.exponentialRampToValueAtTime(0.001, startTime + duration); // Final release
+        if (techniques.palmMute) {
+            // Palm mute: short, damped envelope
+            envelope.gain.setValueAtTime(0, startTime);
+            envelope.gain.linearRampToValueAtTime(0.8, startTime + 0.002);
+            envelope.gain.exponentialRampToValueAtTime(0.001, startTime + Math.min(duration, 0.25));
+        } else if (techniques.legato) {
+            // Legato: no pluck transient, the string is already ringing
+            envelope.gain.setValueAtTime(0, startTime);
+            envelope.gain.linearRampToValueAtTime(0.4, startTime + 0.01);
+            envelope.gain.exponentialRampToValueAtTime(sustainLevel, startTime + 0.15);
+            envelope.gain.exponentialRampToValueAtTime(0.001, startTime + duration);
+        } else {
+            // Guitar-like envelope: sharp attack, quick initial decay, longer sustain
+            envelope.gain.setValueAtTime(0, startTime);
+            envelope.gain.linearRampToValueAtTime(1.0, startTime + 0.002); // Very fast pluck attack
+            envelope.gain.exponentialRampToValueAtTime(0.4, startTime + 0.05); // Initial decay
+            envelope.gain.exponentialRampToValueAtTime(sustainLevel, startTime + 0.2); // Sustain level
+            envelope.gain.exponentialRampToValueAtTime(0.001, startTime + duration); // Final release
+        }
         
         // Add subtle vibrato for realism (very subtle)
         const vibrato = this.audioContext.createOscillator();
@@ -179,6 +407,13 @@ class GuitarAudioEngine {
         
         vibrato.connect(vibratoGain);
         
+        if (techniques.vibrato) {
+            // Vibrato technique: a quarter-tone-wide pitch wobble (in cents, so every harmonic follows)
+            vibrato.frequency.value = 5.5;
+            vibratoGain.gain.value = 25;
+            oscillators.forEach(oscillator => vibratoGain.connect(oscillator.detune));
+        }
+        
         // Track vibrato oscillator too
         this.activeOscillators.add(vibrato);
         
@@ -231,7 +466,38 @@ class GuitarAudioEngine {
         
         oscillator.start(startTime);
         oscillator.stop(startTime + duration);
-        
+
+    }
+
+    /**
+     * Schedule a metronome click: a short pitched blip, higher and louder on downbeats
+     * @param {number} startTime - AudioContext time of the click
+     * @param {string} level - 'accent' (downbeat), 'beat' or 'subdivision'
+     */
+    scheduleClick(startTime, level = 'beat') {
+        if (!this.audioContext || !this.masterGain) return;
+
+        const sound = GuitarAudioEngine.CLICK_SOUNDS[level] || GuitarAudioEngine.CLICK_SOUNDS.beat;
+        const oscillator = this.audioContext.createOscillator();
+        const gain = this.audioContext.createGain();
+
+        oscillator.type = 'triangle';
+        oscillator.frequency.value = sound.frequency;
+
+        gain.gain.setValueAtTime(0, startTime);
+        gain.gain.linearRampToValueAtTime(sound.gain, startTime + 0.002);
+        gain.gain.exponentialRampToValueAtTime(0.001, startTime + 0.05);
+
+        oscillator.connect(gain);
+        gain.connect(this.masterGain);
+
+        // Tracked like the note oscillators so stopping cuts clicks scheduled ahead
+        this.activeOscillators.add(oscillator);
+        oscillator.start(startTime);
+        oscillator.stop(startTime + 0.06);
+        oscillator.addEventListener('ended', () => {
+            this.activeOscillators.delete(oscillator);
+        });
     }
 
     stopAllNotes() {
@@ -245,6 +511,11 @@ class GuitarAudioEngine {
             this.masterGain.gain.linearRampToValueAtTime(0.0001, t + 0.01);
         } catch {}
         
+        // Drop every plucked voice, including notes scheduled in the future
+        if (this.pluckNode) {
+            this.pluckNode.port.postMessage({ type: 'allNotesOff' });
+        }
+        
         // Stop all active oscillators (even those scheduled in the future)
         for (const osc of this.activeOscillators) {
             try { osc.stop(t); } catch {}
@@ -290,213 +561,235 @@ class GuitarAudioEngine {
     }
 }
 
+// AudioWorklet module with the Karplus-Strong processor (relative to the page)
+GuitarAudioEngine.WORKLET_URL = 'js/karplus-strong-processor.js';
+// Metronome click pitch (Hz) and peak gain by level
+GuitarAudioEngine.CLICK_SOUNDS = {
+    accent: { frequency: 1760, gain: 0.9 },
+    beat: { frequency: 1320, gain: 0.6 },
+    subdivision: { frequency: 990, gain: 0.3 }
+};
+
 /**
- * Individual guitar voice using Karplus-Strong synthesis
- * Web Audio API implementation of GuitarVoice class
+ * Sequencer for playing tab compositions with accurate timing
  */
-class GuitarVoice {
-    constructor(audioContext, destination) {
-        this.audioContext = audioContext;
-        this.destination = destination;
-        
-        // String parameters (much longer sustain)
-        this.dampingFactor = 0.9995;
-        this.tensionFactor = 1.0;
-        this.pluckPosition = 0.3;
-        this.isWound = false;
-        
-        // Audio nodes
-        this.gainNode = null;
-        this.scriptProcessor = null;
-        this.delayLine = null;
-        this.delayLineSize = 0;
-        this.writeIndex = 0;
-        
-        // State
+class TabSequencer {
+    constructor(audioEngine) {
+        this.audioEngine = audioEngine;
         this.isPlaying = false;
-        this.baseFrequency = 440.0;
-        this.lastOutput = 0.0;
+        this.isPaused = false;
+        this.currentBeat = 0;
+        this.tempo = 120; // BPM
+        this.tabData = null;
+        this.allNotes = []; // All notes with timing info
+        this.playbackTimer = null; // setInterval fallback for the scheduler wake-ups
+        this.timerWorker = null; // Worker timer for the scheduler wake-ups
+        this.progressFrame = null; // requestAnimationFrame id for progress updates
+        
+        // Lookahead scheduling: notes are placed on the AudioContext clock ahead of time
+        this.scheduleAheadTime = 0.1; // Seconds of audio scheduled ahead of the clock
+        this.schedulerInterval = 25; // Milliseconds between scheduler wake-ups
+        this.startDelay = 0.05; // Lead time so the first note is never scheduled late
+        this.nextNoteIndex = 0; // Next note in allNotes (sorted by beat) to schedule
+        this.segments = []; // Transport segments mapping clock time to beats: { time, beat, tempo, isCountIn }
+        this.endTime = null; // Clock time at which the last beat ends (when not looping)
+        this.scheduledTime = null; // Clock time up to which notes have been scheduled
+
+        // Metronome and count-in, scheduled on the same clock as the notes
+        this.metronomeEnabled = false;
+        this.metronomeSubdivision = 1; // Clicks per time signature beat
+        this.countInBars = 0; // Bars counted in before playback and each loop repetition
+        this.nextClickBeat = 0; // Next metronome click (global beat) to schedule
+
+        // Speed trainer: loop repetitions start slower and speed up step by step
+        this.speedTrainer = null; // { startPercent, stepBpm, everyRepetitions, targetTempo } when enabled
+        this.trainerTempo = null; // Tempo of the current repetition while training
+        this.loopRepetitions = 0;
+        this.onTempoChangeCallback = null;
+
+        this.onProgressCallback = null;
+        this.onCompleteCallback = null;
+        this.isLooping = false;
+        this.totalDuration = 0;
+        this.loopStartMeasure = 1;
+        this.loopEndMeasure = 8;
+        this.measureTimeline = []; // Start beat and length of every measure
+        this.totalBeats = 0;
     }
 
-    setStringParameters(damping, tension, pluckPos, isWound) {
-        this.dampingFactor = damping;
-        this.tensionFactor = tension;
-        this.pluckPosition = pluckPos;
-        this.isWound = isWound;
+    setTabData(tabData) {
+        this.tabData = tabData;
+        if (tabData.tempo) {
+            this.tempo = tabData.tempo;
+        }
+        this.buildMeasureTimeline();
     }
 
-    startNote(midiNote, velocity, startTime) {
-        // Convert MIDI note to frequency
-        this.baseFrequency = 440.0 * Math.pow(2, (midiNote - 69) / 12.0);
-        
-        // Calculate delay line size for Karplus-Strong (ensure minimum size for sustain)
-        const sampleRate = this.audioContext.sampleRate;
-        this.delayLineSize = Math.max(64, Math.round(sampleRate / this.baseFrequency));
-        
-        // Initialize delay line with noise burst (pluck simulation)
-        this.delayLine = new Float32Array(this.delayLineSize);
-        this.fillInitialNoise(velocity);
-        this.writeIndex = 0;
-        
-        // Create audio nodes
-        this.gainNode = this.audioContext.createGain();
-        this.gainNode.gain.setValueAtTime(0, startTime);
-        this.gainNode.gain.linearRampToValueAtTime(velocity * 0.3, startTime + 0.005);
-        this.gainNode.connect(this.destination);
-        
-        // Create script processor for Karplus-Strong synthesis
-        const bufferSize = 4096; // Increase buffer size for stability
-        this.scriptProcessor = this.audioContext.createScriptProcessor(bufferSize, 0, 1);
-        this.scriptProcessor.onaudioprocess = (event) => this.processAudio(event);
-        
-        // Important: Connect to a dummy destination to keep it alive
-        const silentGain = this.audioContext.createGain();
-        silentGain.gain.value = 0;
-        this.scriptProcessor.connect(silentGain);
-        silentGain.connect(this.audioContext.destination);
-        
-        // Also connect to our gain node for actual output
-        this.scriptProcessor.connect(this.gainNode);
-        
-        this.isPlaying = true;
+    /**
+     * Build the measure timeline from each measure's time signature.
+     * Beats are quarter notes, so a 6/8 measure is 3 beats long and 7/8 is 3.5
+     */
+    buildMeasureTimeline() {
+        this.measureTimeline = [];
+        let startBeat = 0;
         
+        for (const measure of this.tabData.measures) {
+            const beats = this.getMeasureBeats(measure);
+            this.measureTimeline.push({ startBeat, beats });
+            startBeat += beats;
+        }
         
-        // Debug: Check initial delay line content
-        const maxInitial = Math.max(...Array.from(this.delayLine));
+        this.totalBeats = startBeat;
     }
 
-    stopNote(stopTime) {
-        if (!this.gainNode) return;
-        
-        // Fade out
-        this.gainNode.gain.setValueAtTime(this.gainNode.gain.value, stopTime);
-        this.gainNode.gain.exponentialRampToValueAtTime(0.001, stopTime + 0.1);
-        
-        // Clean up after fade
-        setTimeout(() => {
-            this.cleanup();
-        }, 200);
+    getMeasureStartBeat(measureIndex) {
+        if (measureIndex >= this.measureTimeline.length) return this.totalBeats;
+        return this.measureTimeline[Math.max(0, measureIndex)].startBeat;
     }
 
-    fillInitialNoise(velocity) {
-        // Create initial noise burst to simulate string pluck
-        const pluckSamples = Math.floor(this.delayLineSize * this.pluckPosition);
-        
-        for (let i = 0; i < this.delayLineSize; i++) {
-            if (i < pluckSamples) {
-                // High frequency content at pluck position - increased amplitude
-                this.delayLine[i] = (Math.random() * 2 - 1) * velocity * 0.8;
+    getMeasureEndBeat(measureIndex) {
+        if (measureIndex >= this.measureTimeline.length) return this.totalBeats;
+        const entry = this.measureTimeline[Math.max(0, measureIndex)];
+        return entry.startBeat + entry.beats;
+    }
+
+    /**
+     * Find the index of the measure containing a global beat position
+     */
+    getMeasureIndexAtBeat(beat) {
+        const timeline = this.measureTimeline;
+        if (timeline.length === 0) return 0;
+        
+        let low = 0;
+        let high = timeline.length - 1;
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (timeline[mid].startBeat <= beat) {
+                low = mid;
             } else {
-                // Lower amplitude after pluck point but still substantial
-                this.delayLine[i] = (Math.random() * 2 - 1) * velocity * 0.4;
+                high = mid - 1;
             }
         }
+        return low;
     }
 
-    processAudio(event) {
-        if (!this.isPlaying || !this.delayLine) {
-            // Fill with silence if not playing
-            const outputBuffer = event.outputBuffer;
-            const outputData = outputBuffer.getChannelData(0);
-            for (let i = 0; i < outputData.length; i++) {
-                outputData[i] = 0;
-            }
-            return;
+    /**
+     * Set the tempo. During playback the transport is rebased where scheduling
+     * has reached, so the position carries on from the same beat at the new
+     * tempo. While the speed trainer runs a loop it keeps its own tempo.
+     */
+    setTempo(bpm) {
+        this.tempo = Math.max(TabSequencer.MIN_TEMPO, Math.min(TabSequencer.MAX_TEMPO, bpm));
+        
+        if (this.isPlaying && this.segments.length > 0) {
+            this.rebaseTempo(this.getTransportTempo());
         }
+    }
+
+    /**
+     * Continue the transport at a new tempo from the point notes have been scheduled up to.
+     * Notes before it were already placed on the clock at the old tempo.
+     */
+    rebaseTempo(tempo) {
+        const segment = this.segments[this.segments.length - 1];
+        if (segment.tempo === tempo) return;
         
-        const outputBuffer = event.outputBuffer;
-        const outputData = outputBuffer.getChannelData(0);
+        const now = this.audioEngine.audioContext.currentTime;
+        const time = Math.max(now, this.scheduledTime || now);
         
-        for (let sample = 0; sample < outputBuffer.length; sample++) {
-            // Read from delay line at current position
-            const currentSample = this.delayLine[this.writeIndex];
-            
-            // Get next sample for averaging
-            const nextIndex = (this.writeIndex + 1) % this.delayLineSize;
-            const nextSample = this.delayLine[nextIndex];
-            
-            // Karplus-Strong low-pass filter: average current and next sample
-            let filteredSample = (currentSample + nextSample) * 0.5;
-            
-            // Apply damping
-            filteredSample *= this.dampingFactor;
-            
-            // Apply additional filtering for wound strings
-            if (this.isWound) {
-                filteredSample = this.applyWoundStringFilter(filteredSample);
-            }
-            
-            // Write filtered sample back to delay line
-            this.delayLine[this.writeIndex] = filteredSample;
-            
-            // Output the current sample
-            outputData[sample] = currentSample;
-            
-            // Advance to next position in delay line
-            this.writeIndex = (this.writeIndex + 1) % this.delayLineSize;
+        if (segment.time >= time) {
+            // The segment has not been scheduled from yet (e.g. during a count-in)
+            segment.tempo = tempo;
+        } else {
+            const beat = Math.min(this.timeToBeat(time), this.totalBeats);
+            this.segments.push({ time, beat, tempo });
         }
         
-        // Debug: Check if we're producing non-zero output
-        const maxSample = Math.max(...outputData);
+        // The end of the song moves with the tempo; the scheduler works it out again
+        this.endTime = null;
+        console.log(`Tempo changed to ${tempo} BPM during playback`);
+        
+        if (this.onTempoChangeCallback) {
+            this.onTempoChangeCallback(tempo);
+        }
     }
 
-    applyWoundStringFilter(input) {
-        // Additional filtering for wound strings (more damping)
-        const filtered = 0.7 * input + 0.3 * this.lastOutput;
-        this.lastOutput = filtered;
-        return filtered;
+    setMetronome(enabled) {
+        this.metronomeEnabled = enabled;
     }
 
-    cleanup() {
-        this.isPlaying = false;
-        
-        if (this.scriptProcessor) {
-            this.scriptProcessor.disconnect();
-            this.scriptProcessor = null;
-        }
-        
-        if (this.gainNode) {
-            this.gainNode.disconnect();
-            this.gainNode = null;
+    /**
+     * @param {number} subdivision - Clicks per time signature beat (1 to 4)
+     */
+    setMetronomeSubdivision(subdivision) {
+        this.metronomeSubdivision = Math.max(1, Math.min(4, Math.round(subdivision) || 1));
+        // Continue on the new grid from the first click not scheduled yet
+        this.nextClickBeat = this.findClickBeat(this.nextClickBeat);
+    }
+
+    /**
+     * @param {number} bars - Bars of count-in (0 for none, 1 or 2)
+     */
+    setCountIn(bars) {
+        this.countInBars = Math.max(0, Math.min(2, Math.round(bars) || 0));
+    }
+
+    /**
+     * Enable the speed trainer for loop playback, or disable it with null.
+     * Repetitions start at startPercent of the tempo and gain stepBpm every
+     * everyRepetitions repetitions until they reach targetTempo.
+     * @param {Object|null} settings - { startPercent, stepBpm, everyRepetitions, targetTempo }
+     */
+    setSpeedTrainer(settings) {
+        if (!settings) {
+            this.speedTrainer = null;
+            return;
         }
-        
-        this.delayLine = null;
+        this.speedTrainer = {
+            startPercent: Math.max(10, Math.min(100, settings.startPercent || 70)),
+            stepBpm: Math.max(1, settings.stepBpm || 5),
+            everyRepetitions: Math.max(1, Math.round(settings.everyRepetitions) || 1),
+            targetTempo: settings.targetTempo > 0 ? settings.targetTempo : null
+        };
     }
-}
 
-/**
- * Sequencer for playing tab compositions with accurate timing
- */
-class TabSequencer {
-    constructor(audioEngine) {
-        this.audioEngine = audioEngine;
-        this.isPlaying = false;
-        this.isPaused = false;
-        this.currentBeat = 0;
-        this.tempo = 120; // BPM
-        this.tabData = null;
-        this.allNotes = []; // All notes with timing info
-        this.playbackTimer = null;
-        this.startTime = 0;
-        this.pausedTime = 0; // Time when paused
-        this.totalPausedDuration = 0; // Total time spent paused
-        this.onProgressCallback = null;
-        this.onCompleteCallback = null;
-        this.isLooping = false;
-        this.totalDuration = 0;
-        this.loopStartMeasure = 1;
-        this.loopEndMeasure = 8;
+    /**
+     * Tempo the transport runs at: the trainer's tempo while training a loop,
+     * otherwise the set tempo
+     */
+    getTransportTempo() {
+        if (this.speedTrainer && this.isLooping && this.trainerTempo !== null) {
+            return this.trainerTempo;
+        }
+        return this.tempo;
     }
 
-    setTabData(tabData) {
-        this.tabData = tabData;
-        if (tabData.tempo) {
-            this.tempo = tabData.tempo;
+    /**
+     * Count a finished loop repetition and speed up when a step is due. Starts
+     * the trainer when it was enabled after playback began.
+     */
+    advanceSpeedTrainer() {
+        const trainer = this.speedTrainer;
+        const targetTempo = trainer.targetTempo || this.tempo;
+        
+        if (this.trainerTempo === null) {
+            this.loopRepetitions = 0;
+            this.trainerTempo = Math.min(targetTempo, Math.max(TabSequencer.MIN_TEMPO, Math.round(this.tempo * trainer.startPercent / 100)));
+            return;
+        }
+        
+        this.loopRepetitions++;
+        if (this.loopRepetitions % trainer.everyRepetitions === 0 && this.trainerTempo < targetTempo) {
+            this.trainerTempo = Math.min(targetTempo, this.trainerTempo + trainer.stepBpm);
+            console.log(`Speed trainer: ${this.trainerTempo} BPM after ${this.loopRepetitions} repetitions`);
         }
     }
 
-    setTempo(bpm) {
-        this.tempo = Math.max(60, Math.min(200, bpm));
+    /**
+     * @param {Function} callback - Called with the tempo playback runs at when it changes
+     */
+    setTempoChangeCallback(callback) {
+        this.onTempoChangeCallback = callback;
     }
 
     setProgressCallback(callback) {
@@ -527,43 +820,38 @@ class TabSequencer {
         this.isPaused = false;
         
         // Start at beginning of loop range if looping, otherwise start at beginning
-        const startBeat = this.isLooping ? (this.loopStartMeasure - 1) * 4 : 0;
+        const startBeat = this.isLooping ? this.getMeasureStartBeat(this.loopStartMeasure - 1) : 0;
         this.currentBeat = startBeat;
         
-        // Adjust start time to account for starting at non-zero beat
-        this.startTime = this.audioEngine.audioContext.currentTime - (startBeat * 60.0 / this.tempo);
-        this.totalPausedDuration = 0;
+        // The speed trainer starts over from its start tempo
+        this.trainerTempo = null;
+        if (this.speedTrainer && this.isLooping) {
+            this.advanceSpeedTrainer();
+        }
         
-        // Prepare notes for real-time triggering
+        // Prepare notes for scheduling
         this.prepareNotes();
         
-        // Start real-time playback
-        this.startRealtimePlayback();
+        this.startTransport(startBeat, true);
     }
     
     resume() {
         this.isPlaying = true;
         this.isPaused = false;
         
-        // Adjust start time to account for pause duration
-        const pauseDuration = this.audioEngine.audioContext.currentTime - this.pausedTime;
-        this.totalPausedDuration += pauseDuration;
-        
-        // Continue real-time playback
-        this.startRealtimePlayback();
+        // Continue from the beat where playback was paused
+        this.startTransport(this.currentBeat, true);
     }
 
     stop() {
         this.isPlaying = false;
         this.isPaused = false;
         this.currentBeat = 0;
-        this.totalPausedDuration = 0;
+        this.segments = [];
+        this.trainerTempo = null;
+        this.loopRepetitions = 0;
         
-        // Stop the playback timer
-        if (this.playbackTimer) {
-            clearInterval(this.playbackTimer);
-            this.playbackTimer = null;
-        }
+        this.stopTimers();
         
         // Stop all audio
         this.audioEngine.stopAllNotes();
@@ -571,37 +859,44 @@ class TabSequencer {
         if (this.onProgressCallback) {
             this.onProgressCallback(0);
         }
+        if (this.onTempoChangeCallback) {
+            this.onTempoChangeCallback(this.tempo);
+        }
     }
 
     pause() {
+        // Keep the current position in beats so resume continues from here
+        this.currentBeat = this.getCurrentBeat();
         this.isPlaying = false;
         this.isPaused = true;
-        this.pausedTime = this.audioEngine.audioContext.currentTime;
         
-        // Stop the playback timer but keep current position
-        if (this.playbackTimer) {
-            clearInterval(this.playbackTimer);
-            this.playbackTimer = null;
-        }
+        this.stopTimers();
         
-        // Stop currently playing notes but keep position
+        // Stop currently playing (and already scheduled) notes but keep position
         this.audioEngine.stopAllNotes();
     }
 
     prepareNotes() {
-        this.allNotes = [];
-        
         const beatDuration = 60.0 / this.tempo;
-        const totalBeats = this.tabData.measures.length * 4;
-        this.totalDuration = totalBeats * beatDuration;
+        this.totalDuration = this.totalBeats * beatDuration;
+        
+        this.allNotes = this.collectNotes();
+        this.nextNoteIndex = 0;
+    }
+
+    /**
+     * Collect every sounding note with its global beat timing, sorted by beat.
+     * Does not touch playback state, so exporters can use it while playing.
+     */
+    collectNotes() {
+        const notes = [];
         
-        // Collect all notes with timing for real-time triggering
         for (const measure of this.tabData.measures) {
             for (const note of measure.notes) {
                 if (note.fret >= 0) {
                     const globalBeat = note.globalBeatPosition !== undefined ? note.globalBeatPosition : note.beatPosition;
                     
-                    this.allNotes.push({
+                    notes.push({
                         note: note,
                         beatPosition: globalBeat,
                         beatDuration: note.beatDuration,
@@ -612,79 +907,391 @@ class TabSequencer {
         }
         
         // Sort by beat position
-        this.allNotes.sort((a, b) => a.beatPosition - b.beatPosition);
+        notes.sort((a, b) => a.beatPosition - b.beatPosition);
+        return notes;
     }
 
     getMeasureBeats(measure) {
-        // Parse time signature to get beats per measure
+        // Parse time signature to get the measure length in quarter-note beats
         const timeSignature = measure.timeSignature || "4/4";
-        const [numerator] = timeSignature.split('/').map(n => parseInt(n));
-        return numerator;
+        const [numerator, denominator] = timeSignature.split('/').map(n => parseInt(n));
+        if (!numerator || !denominator) {
+            return 4;
+        }
+        return numerator * 4 / denominator;
     }
 
-    startRealtimePlayback() {
-        // Real-time playback with 10ms precision
-        this.playbackTimer = setInterval(() => {
-            if (!this.isPlaying) return;
+    /**
+     * Index of the first note at or after a beat (binary search over the sorted notes)
+     */
+    findNoteIndex(beat) {
+        let low = 0;
+        let high = this.allNotes.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (this.allNotes[mid].beatPosition < beat) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        return low;
+    }
+
+    /**
+     * Start the transport at a beat: the beat is reached startDelay seconds from
+     * now, or after the count-in when countIn is set and count-in bars are configured
+     */
+    startTransport(beat, countIn = false) {
+        const tempo = this.getTransportTempo();
+        let time = this.audioEngine.audioContext.currentTime + this.startDelay;
+        if (countIn) {
+            time += this.scheduleCountIn(time, beat, tempo);
+        }
+        this.segments = [{ time, beat, tempo }];
+        this.endTime = null;
+        this.scheduledTime = null;
+        
+        if (this.onTempoChangeCallback) {
+            this.onTempoChangeCallback(tempo);
+        }
+        
+        // Re-arm every note from this beat on (some may have been scheduled before a pause)
+        this.rearmNotes(beat);
+        
+        this.scheduler();
+        this.startSchedulerTimer();
+        this.startProgressUpdates();
+    }
+
+    /**
+     * Mark the notes before a beat as already played and re-arm the rest,
+     * pointing the scheduler at the first note to play
+     */
+    rearmNotes(beat) {
+        this.nextNoteIndex = this.findNoteIndex(beat);
+        this.allNotes.forEach((noteData, i) => {
+            noteData.triggered = i < this.nextNoteIndex;
+        });
+        this.nextClickBeat = this.findClickBeat(beat);
+    }
+
+    /**
+     * Move the playhead to a beat. While playing, sounding notes are cut and
+     * playback continues from the new position; when paused or stopped,
+     * playback is left paused there so play() resumes from that beat.
+     */
+    seek(beat) {
+        if (!this.tabData) return;
+        
+        const targetBeat = Math.max(0, Math.min(beat, this.totalBeats));
+        
+        if (this.isPlaying) {
+            this.stopTimers();
+            this.audioEngine.stopAllNotes();
+            this.audioEngine.setMasterVolume(0.3);
+            this.currentBeat = targetBeat;
+            this.startTransport(targetBeat);
+        } else {
+            if (!this.isPaused) {
+                // Stopped: prepare notes so resuming from the new position works
+                this.prepareNotes();
+                this.isPaused = true;
+            }
+            this.currentBeat = targetBeat;
+            this.rearmNotes(targetBeat);
+        }
+        
+        if (this.onProgressCallback) {
+            this.onProgressCallback(Math.min(this.currentBeat / this.totalBeats, 1.0));
+        }
+    }
+
+    /**
+     * Beat position at a clock time, using the transport segment active at that time
+     */
+    timeToBeat(time) {
+        let segment = this.segments[0];
+        for (const candidate of this.segments) {
+            if (candidate.time <= time) {
+                segment = candidate;
+            }
+        }
+        // Hold at the segment start during the lead-in before it begins and
+        // through count-in segments
+        if (segment.isCountIn) {
+            return segment.beat;
+        }
+        return segment.beat + Math.max(0, time - segment.time) * segment.tempo / 60.0;
+    }
+
+    /**
+     * Current playback position in beats
+     */
+    getCurrentBeat() {
+        if (!this.isPlaying || this.segments.length === 0) {
+            return this.currentBeat;
+        }
+        return this.timeToBeat(this.audioEngine.audioContext.currentTime);
+    }
+
+    /**
+     * Lookahead scheduler: place every note that starts before the horizon on the
+     * audio clock. The notes are sorted, so each wake-up only looks at the notes
+     * it schedules and the cost stays flat regardless of song length.
+     */
+    scheduler() {
+        if (!this.isPlaying) return;
+        
+        const now = this.audioEngine.audioContext.currentTime;
+        const horizon = now + this.scheduleAheadTime;
+        
+        // Schedule up to the horizon, wrapping as many loop iterations as fall inside it
+        for (;;) {
+            const segment = this.segments[this.segments.length - 1];
+            const endBeat = this.isLooping ? this.getMeasureEndBeat(this.loopEndMeasure - 1) : this.totalBeats;
+            const horizonBeat = segment.beat + (horizon - segment.time) * segment.tempo / 60.0;
             
-            const currentTime = this.audioEngine.audioContext.currentTime;
-            const elapsed = currentTime - this.startTime - this.totalPausedDuration;
-            const beatDuration = 60.0 / this.tempo;
-            this.currentBeat = elapsed / beatDuration;
+            this.scheduleNotesUntil(Math.min(horizonBeat, endBeat), segment);
+            this.scheduleClicksUntil(Math.min(horizonBeat, endBeat), segment);
             
-            const progress = Math.min(this.currentBeat / (this.totalDuration / beatDuration), 1.0);
+            if (horizonBeat < endBeat) break;
             
-            // Trigger notes that should start now (with 50ms lookahead)
-            const lookahead = 0.05;
-            for (const noteData of this.allNotes) {
-                if (!noteData.triggered && 
-                    this.currentBeat >= noteData.beatPosition - lookahead &&
-                    this.currentBeat <= noteData.beatPosition + lookahead) {
-                    
-                    const noteStartTime = Math.max(0, (noteData.beatPosition - this.currentBeat) * beatDuration);
-                    const noteDuration = noteData.beatDuration * beatDuration;
-                    
-                    this.audioEngine.playNote(noteData.note, noteStartTime, noteDuration);
-                    noteData.triggered = true;
-                }
+            const segmentEndTime = segment.time + (endBeat - segment.beat) * 60.0 / segment.tempo;
+            if (!this.isLooping) {
+                this.endTime = segmentEndTime;
+                break;
             }
             
-            // Update progress
-            if (this.onProgressCallback) {
-                this.onProgressCallback(progress);
+            // Loop back: the next iteration starts exactly when this one ends
+            this.loop(Math.max(segmentEndTime, now));
+        }
+        this.scheduledTime = horizon;
+        
+        // Drop segments the playhead has moved past
+        while (this.segments.length > 1 && this.segments[1].time <= now) {
+            this.segments.shift();
+        }
+        
+        if (!this.isLooping && this.endTime !== null && now >= this.endTime) {
+            // Normal completion
+            this.stop();
+            if (this.onCompleteCallback) {
+                this.onCompleteCallback();
             }
+        }
+    }
+
+    /**
+     * Schedule the notes of a transport segment that start before a beat
+     */
+    scheduleNotesUntil(untilBeat, segment) {
+        const beatDuration = 60.0 / segment.tempo;
+        
+        while (this.nextNoteIndex < this.allNotes.length) {
+            const noteData = this.allNotes[this.nextNoteIndex];
+            if (noteData.beatPosition >= untilBeat) break;
             
-            // Check for completion of current loop range
-            const loopEndBeat = this.loopEndMeasure * 4;
-            const totalBeats = this.tabData.measures.length * 4;
+            if (!noteData.triggered && noteData.beatPosition >= segment.beat) {
+                const noteTime = segment.time + (noteData.beatPosition - segment.beat) * beatDuration;
+                const noteDuration = noteData.beatDuration * beatDuration;
+                
+                this.audioEngine.scheduleNote(noteData.note, noteTime, noteDuration);
+                noteData.triggered = true;
+            }
+            this.nextNoteIndex++;
+        }
+    }
+
+    /**
+     * Schedule the metronome clicks of a transport segment that fall before a beat.
+     * The click cursor advances even when the metronome is off, so switching it
+     * on during playback picks up at the right click.
+     */
+    scheduleClicksUntil(untilBeat, segment) {
+        const beatDuration = 60.0 / segment.tempo;
+        const endBeat = this.totalBeats - 1e-6;
+        
+        while (this.nextClickBeat < untilBeat && this.nextClickBeat < endBeat) {
+            const beat = this.nextClickBeat;
+            if (this.metronomeEnabled && beat >= segment.beat - 1e-6) {
+                const clickTime = segment.time + Math.max(0, beat - segment.beat) * beatDuration;
+                this.audioEngine.scheduleClick(clickTime, this.getClickLevel(beat));
+            }
+            this.nextClickBeat = this.findClickBeat(beat, true);
+        }
+    }
+
+    /**
+     * Length in quarter-note beats of one time signature beat of a measure
+     * (an eighth in 6/8, a half in 2/2) and its number of beats
+     */
+    getMeasurePulse(measureIndex) {
+        const measure = this.tabData.measures[measureIndex];
+        const [numerator, denominator] = (measure && measure.timeSignature || '4/4').split('/').map(n => parseInt(n));
+        if (!numerator || !denominator) {
+            return { pulseBeats: 1, pulses: 4 };
+        }
+        return { pulseBeats: 4 / denominator, pulses: numerator };
+    }
+
+    /**
+     * Global beat of the first metronome click at or after a beat (strictly after
+     * it with isAfter). Clicks fall on every time signature beat of each measure,
+     * divided by the subdivision.
+     */
+    findClickBeat(beat, isAfter = false) {
+        if (!this.tabData || this.measureTimeline.length === 0) return beat;
+        
+        const measureIndex = this.getMeasureIndexAtBeat(beat);
+        const { startBeat, beats } = this.measureTimeline[measureIndex];
+        const step = this.getMeasurePulse(measureIndex).pulseBeats / this.metronomeSubdivision;
+        // Clicks so far into the measure, allowing for rounding in the beat
+        const clicks = (beat - startBeat) / step;
+        const index = isAfter ? Math.floor(clicks + 1e-6) + 1 : Math.ceil(clicks - 1e-6);
+        const click = startBeat + index * step;
+        
+        // Past the last click of the measure: the next click is the next downbeat
+        return click < startBeat + beats - 1e-6 ? click : startBeat + beats;
+    }
+
+    /**
+     * 'accent' for a measure's downbeat, 'beat' for its other time signature
+     * beats and 'subdivision' for the clicks between them
+     */
+    getClickLevel(beat) {
+        const measureIndex = this.getMeasureIndexAtBeat(beat);
+        const offset = beat - this.measureTimeline[measureIndex].startBeat;
+        if (offset < 1e-6) {
+            return 'accent';
+        }
+        const pulseBeats = this.getMeasurePulse(measureIndex).pulseBeats;
+        const fraction = offset / pulseBeats - Math.round(offset / pulseBeats);
+        return Math.abs(fraction) < 1e-6 ? 'beat' : 'subdivision';
+    }
+
+    /**
+     * Click the count-in bars in the time signature of the measure at a beat,
+     * starting at a clock time
+     * @returns {number} Count-in length in seconds (0 without count-in)
+     */
+    scheduleCountIn(time, beat, tempo) {
+        if (this.countInBars === 0 || !this.tabData) return 0;
+        
+        const { pulseBeats, pulses } = this.getMeasurePulse(this.getMeasureIndexAtBeat(beat));
+        const pulseDuration = pulseBeats * 60.0 / tempo;
+        
+        for (let bar = 0; bar < this.countInBars; bar++) {
+            for (let pulse = 0; pulse < pulses; pulse++) {
+                const clickTime = time + (bar * pulses + pulse) * pulseDuration;
+                this.audioEngine.scheduleClick(clickTime, pulse === 0 ? 'accent' : 'beat');
+            }
+        }
+        return this.countInBars * pulses * pulseDuration;
+    }
+
+    /**
+     * Start the scheduler wake-ups. A worker timer keeps ticking in background
+     * tabs, where setInterval on the page is throttled to once a second.
+     */
+    startSchedulerTimer() {
+        this.stopSchedulerTimer();
+        
+        if (!this.timerWorker && typeof Worker !== 'undefined') {
+            try {
+                const source = 'let timer = null;' +
+                    'onmessage = (e) => { clearInterval(timer); timer = e.data > 0 ? setInterval(() => postMessage(0), e.data) : null; };';
+                this.timerWorker = new Worker(URL.createObjectURL(new Blob([source], { type: 'application/javascript' })));
+                this.timerWorker.onmessage = () => this.scheduler();
+                this.timerWorker.onerror = () => {
+                    console.warn('Scheduler worker failed, falling back to setInterval');
+                    this.timerWorker = null;
+                    if (this.isPlaying) {
+                        this.startSchedulerTimer();
+                    }
+                };
+            } catch (error) {
+                console.warn('Scheduler worker unavailable, using setInterval:', error);
+                this.timerWorker = null;
+            }
+        }
+        
+        if (this.timerWorker) {
+            this.timerWorker.postMessage(this.schedulerInterval);
+        } else {
+            this.playbackTimer = setInterval(() => this.scheduler(), this.schedulerInterval);
+        }
+    }
+
+    stopSchedulerTimer() {
+        if (this.timerWorker) {
+            this.timerWorker.postMessage(0);
+        }
+        if (this.playbackTimer) {
+            clearInterval(this.playbackTimer);
+            this.playbackTimer = null;
+        }
+    }
+
+    /**
+     * Report progress once per animation frame (display only, audio timing
+     * comes from the scheduler)
+     */
+    startProgressUpdates() {
+        if (this.progressFrame) {
+            cancelAnimationFrame(this.progressFrame);
+        }
+        
+        const update = () => {
+            if (!this.isPlaying) return;
             
-            if (this.isLooping && this.currentBeat >= loopEndBeat) {
-                // Loop back to start of selected range
-                this.loop();
-            } else if (!this.isLooping && progress >= 1.0) {
-                // Normal completion
-                this.stop();
-                if (this.onCompleteCallback) {
-                    this.onCompleteCallback();
-                }
+            this.currentBeat = this.getCurrentBeat();
+            if (this.onProgressCallback) {
+                this.onProgressCallback(Math.min(this.currentBeat / this.totalBeats, 1.0));
             }
-        }, 10);
+            this.progressFrame = requestAnimationFrame(update);
+        };
+        this.progressFrame = requestAnimationFrame(update);
+    }
+
+    stopTimers() {
+        this.stopSchedulerTimer();
+        if (this.progressFrame) {
+            cancelAnimationFrame(this.progressFrame);
+            this.progressFrame = null;
+        }
     }
     
-    loop() {
-        // Reset for next loop iteration to start of loop range
-        const loopStartBeat = (this.loopStartMeasure - 1) * 4;
-        this.currentBeat = loopStartBeat;
-        this.startTime = this.audioEngine.audioContext.currentTime - (loopStartBeat * 60.0 / this.tempo);
-        this.totalPausedDuration = 0;
+    /**
+     * Queue the next loop iteration to start at a clock time
+     */
+    loop(time) {
+        const loopStartBeat = this.getMeasureStartBeat(this.loopStartMeasure - 1);
+        
+        if (this.speedTrainer) {
+            this.advanceSpeedTrainer();
+        }
+        const tempo = this.getTransportTempo();
+        if (tempo !== this.segments[this.segments.length - 1].tempo && this.onTempoChangeCallback) {
+            this.onTempoChangeCallback(tempo);
+        }
+        
+        // Count in each repetition, holding the playhead at the loop start meanwhile
+        const countInDuration = this.scheduleCountIn(time, loopStartBeat, tempo);
+        if (countInDuration > 0) {
+            this.segments.push({ time, beat: loopStartBeat, tempo, isCountIn: true });
+        }
+        this.segments.push({ time: time + countInDuration, beat: loopStartBeat, tempo });
         
         // Reset note triggers only for notes in the loop range
-        const loopEndBeat = this.loopEndMeasure * 4;
+        const loopEndBeat = this.getMeasureEndBeat(this.loopEndMeasure - 1);
         this.allNotes.forEach(noteData => {
             if (noteData.beatPosition >= loopStartBeat && noteData.beatPosition < loopEndBeat) {
                 noteData.triggered = false;
             }
         });
+        this.nextNoteIndex = this.findNoteIndex(loopStartBeat);
+        this.nextClickBeat = this.findClickBeat(loopStartBeat);
     }
     
     setLooping(enabled) {
@@ -695,4 +1302,8 @@ class TabSequencer {
         this.loopStartMeasure = startMeasure;
         this.loopEndMeasure = endMeasure;
     }
-}
\ No newline at end of file
+}
+
+// Tempo range (BPM)
+TabSequencer.MIN_TEMPO = 20;
+TabSequencer.MAX_TEMPO = 400;
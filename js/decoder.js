@@ -48,7 +48,6 @@ class TabDataDecoder {
             console.log('First 50 chars of encoded data:', encodedData ? encodedData.substring(0, 50) : 'null');
             console.log('Last 50 chars of encoded data:', encodedData ? encodedData.substring(encodedData.length - 50) : 'null');
             console.log('Is compressed:', isCompressed);
-            console.log('Pako library available:', typeof pako !== 'undefined');
             console.log('DecompressionStream available:', typeof DecompressionStream !== 'undefined');
             
             if (!encodedData) {
@@ -57,6 +56,14 @@ class TabDataDecoder {
                 return null;
             }
 
+            // Version 3 and 4 links carry bit-packed binary in URL-safe base64 instead of JSON
+            if (/(?:^|[?&])v=[34](?:&|$)/.test(fragment)) {
+                const tabData = this.decodeBinary(this.base64UrlToUint8Array(encodedData));
+                this.applyUrlParameters(tabData, fragment);
+                console.log('Successfully decoded binary tab data:', tabData);
+                return tabData;
+            }
+
             // URL decode the base64 data (handles +, /, = characters)
             let urlDecodedData;
             try {
@@ -116,17 +123,7 @@ class TabDataDecoder {
             }
             
             const tabData = JSON.parse(jsonString);
-
-            // Extract additional URL parameters manually
-            const tempoMatch = fragment.match(/[?&]tempo=([^&]*)/);
-            const titleMatch = fragment.match(/[?&]title=([^&]*)/);
-
-            if (tempoMatch) {
-                tabData.tempo = parseInt(tempoMatch[1], 10);
-            }
-            if (titleMatch) {
-                tabData.title = decodeURIComponent(titleMatch[1]);
-            }
+            this.applyUrlParameters(tabData, fragment);
 
             console.log('Successfully decoded tab data:', tabData);
             return tabData;
@@ -137,6 +134,354 @@ class TabDataDecoder {
         }
     }
 
+    /**
+     * Apply the tempo and title parameters of a share link fragment
+     * @param {Object} tabData
+     * @param {string} fragment - URL fragment without the leading #
+     */
+    static applyUrlParameters(tabData, fragment) {
+        // Extract additional URL parameters manually
+        const tempoMatch = fragment.match(/[?&]tempo=([^&]*)/);
+        const titleMatch = fragment.match(/[?&]title=([^&]*)/);
+
+        if (tempoMatch) {
+            tabData.tempo = parseInt(tempoMatch[1], 10);
+        }
+        if (titleMatch) {
+            tabData.title = decodeURIComponent(titleMatch[1]);
+        }
+    }
+
+    /**
+     * Decode the compact binary share format (version 4, or version 3 which has no
+     * key signatures), written by TabDataEncoder.encodeBinary. Fields are bit-packed,
+     * most significant bit first:
+     *
+     *   header      8 bits format version (4), 3 bits flags (title, tempo, instrument name),
+     *               then the flagged title (string), tempo (varint/6) and name (string)
+     *   tuning      4 bits string count, 7 bits MIDI note per string (0 strings = version 1 data)
+     *   measures    varint/4 count, then per measure:
+     *                 1 bit time signature change, numerator and denominator (varint/3 each)
+     *                 1 bit key signature change, 4 bits sharps (negative for flats, two's complement)
+     *                 varint/4 note count, then per note, sorted by position:
+     *                   varint/4 position delta from the previous note in ticks,
+     *                   1 bit "same duration as the previous note" or varint/4 duration in ticks,
+     *                   4 bits string, varint/3 fret + 1,
+     *                   1 bit techniques: 6 bits flags (bend first), 5 bits bend in quarter semitones (semitones × 4)
+     *                 varint/2 triplet region count, then 4 bits string, varint/4 start and length
+     *
+     * varint/n is a number in n-bit groups, least significant group first, each
+     * followed by a continuation bit; strings are a varint/6 byte length and UTF-8.
+     * A tick is 1/96 of a quarter note.
+     * @param {Uint8Array} bytes
+     * @returns {Object} Version 1 or 2 tab data
+     */
+    static decodeBinary(bytes) {
+        const reader = new BitReader(bytes);
+        const formatVersion = reader.readBits(8);
+        if (formatVersion !== TabDataDecoder.BINARY_VERSION && formatVersion !== 3) {
+            throw new Error(`Binary tab format version ${formatVersion} is not supported`);
+        }
+        
+        const hasTitle = reader.readBits(1);
+        const hasTempo = reader.readBits(1);
+        const hasName = reader.readBits(1);
+        const tabData = { version: 1 };
+        if (hasTitle) {
+            tabData.title = reader.readString();
+        }
+        if (hasTempo) {
+            tabData.tempo = reader.readVarint(6);
+        }
+        const instrumentName = hasName ? reader.readString() : null;
+        
+        const stringCount = reader.readBits(4);
+        if (stringCount > 0) {
+            const names = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+            const strings = [];
+            for (let i = 0; i < stringCount; i++) {
+                const midiNote = reader.readBits(7);
+                strings.push({ name: names[midiNote % 12], midiNote });
+            }
+            tabData.version = 2;
+            tabData.instrumentConfig = { name: instrumentName || `${stringCount}-string instrument`, strings };
+        }
+        
+        const ticks = TabDataDecoder.BINARY_TICKS_PER_BEAT;
+        const measureCount = reader.readVarint(4);
+        let timeSignature = '4/4';
+        let keySignature = 0;
+        tabData.measures = [];
+        for (let m = 0; m < measureCount; m++) {
+            const measure = { notes: [] };
+            if (reader.readBits(1)) {
+                timeSignature = `${reader.readVarint(3)}/${reader.readVarint(3)}`;
+            }
+            if (timeSignature !== '4/4') {
+                measure.timeSignature = timeSignature;
+            }
+            if (formatVersion >= 4 && reader.readBits(1)) {
+                const bits = reader.readBits(4);
+                keySignature = bits >= 8 ? bits - 16 : bits;
+            }
+            if (keySignature !== 0) {
+                measure.keySignature = keySignature;
+            }
+            
+            const noteCount = reader.readVarint(4);
+            let position = 0;
+            let duration = 0;
+            for (let n = 0; n < noteCount; n++) {
+                position += reader.readVarint(4);
+                if (!reader.readBits(1)) {
+                    duration = reader.readVarint(4);
+                }
+                const note = {
+                    string: reader.readBits(4),
+                    fret: reader.readVarint(3) - 1,
+                    beatPosition: position / ticks,
+                    beatDuration: duration / ticks
+                };
+                
+                if (reader.readBits(1)) {
+                    const flags = reader.readBits(TabDataDecoder.BINARY_TECHNIQUES.length);
+                    TabDataDecoder.BINARY_TECHNIQUES.forEach((technique, i) => {
+                        if (flags & (1 << i)) {
+                            note[technique] = true;
+                        }
+                    });
+                    if (note.bend) {
+                        note.bend = reader.readBits(5) / 4;
+                    }
+                }
+                measure.notes.push(note);
+            }
+            
+            const regionCount = reader.readVarint(2);
+            if (regionCount > 0) {
+                measure.tripletRegions = [];
+                for (let r = 0; r < regionCount; r++) {
+                    const stringIndex = reader.readBits(4);
+                    const start = reader.readVarint(4);
+                    const length = reader.readVarint(4);
+                    measure.tripletRegions.push({ stringIndex, region: { startBeat: start / ticks, endBeat: (start + length) / ticks } });
+                }
+            }
+            tabData.measures.push(measure);
+        }
+        
+        console.log(`Decoded binary tab: ${bytes.length} bytes, ${measureCount} measures`);
+        return tabData;
+    }
+
+    /**
+     * Convert URL-safe base64 (- and _ instead of + and /, no padding) to bytes
+     * @param {string} base64Url
+     * @returns {Uint8Array}
+     */
+    static base64UrlToUint8Array(base64Url) {
+        return this.base64ToUint8Array(base64Url.replace(/-/g, '+').replace(/_/g, '/'));
+    }
+
+    /**
+     * Decode tab data from a local file: plain JSON, JSON compressed as gzip,
+     * zlib or raw DEFLATE (the same payloads a share link carries), an ASCII tab,
+     * a MusicXML score (plain or .mxl) or a Guitar Pro 5, 6 or 7 file
+     * @param {File|Blob} file
+     * @returns {Object} Decoded tab data, or { title, tracks } with tab data for
+     *     each track of a multi-track Guitar Pro file
+     */
+    static async decodeFromFile(file) {
+        console.log('Loading tab file:', file.name, file.size, 'bytes');
+        
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        if (bytes.length === 0) {
+            throw new Error('The file is empty');
+        }
+        
+        if (GuitarProImporter.looksLikeGuitarPro(bytes)) {
+            return GuitarProImporter.parse(bytes);
+        }
+        if (bytes[0] === 0x50 && bytes[1] === 0x4B && bytes[2] === 0x03 && bytes[3] === 0x04) { // "PK" ZIP archive
+            return this.decodeZipFile(bytes);
+        }
+        
+        let jsonString;
+        if (this.looksLikeJson(bytes)) {
+            jsonString = new TextDecoder().decode(bytes);
+        } else {
+            const text = new TextDecoder().decode(bytes);
+            if (MusicXmlImporter.looksLikeMusicXml(text)) {
+                return MusicXmlImporter.parse(text);
+            }
+            if (AsciiTabImporter.looksLikeAsciiTab(text)) {
+                const tabData = AsciiTabImporter.parse(text);
+                if (!tabData.title || tabData.title === AsciiTabImporter.DEFAULT_TITLE) {
+                    delete tabData.title; // Let the player use the file name
+                }
+                return tabData;
+            }
+            jsonString = await this.decompressData(bytes);
+        }
+        
+        try {
+            const tabData = JSON.parse(jsonString);
+            console.log('Successfully decoded tab file:', tabData);
+            return tabData;
+        } catch (error) {
+            throw new Error('The file does not contain tab data: ' + error.message);
+        }
+    }
+
+    /**
+     * Decode a ZIP-packaged score: a Guitar Pro 7 file (Content/score.gpif) or
+     * compressed MusicXML (.mxl, located through META-INF/container.xml)
+     * @param {Uint8Array} bytes
+     * @returns {Object} Decoded tab data or { title, tracks }
+     */
+    static async decodeZipFile(bytes) {
+        const entries = this.readZipEntries(bytes);
+        console.log('ZIP archive entries:', [...entries.keys()]);
+        
+        const gpif = entries.get('Content/score.gpif');
+        if (gpif) {
+            return GuitarProImporter.parseGpif(new TextDecoder().decode(await this.readZipFile(bytes, gpif)));
+        }
+        
+        const container = entries.get('META-INF/container.xml');
+        if (container) {
+            const containerXml = new TextDecoder().decode(await this.readZipFile(bytes, container));
+            const rootFile = containerXml.match(/<rootfile\b[^>]*\bfull-path="([^"]+)"/);
+            const score = rootFile && entries.get(rootFile[1]);
+            if (score) {
+                return MusicXmlImporter.parse(new TextDecoder().decode(await this.readZipFile(bytes, score)));
+            }
+        }
+        
+        throw new Error('The archive does not contain a Guitar Pro or MusicXML score');
+    }
+
+    /**
+     * List the files of a ZIP archive from its central directory
+     * @param {Uint8Array} bytes
+     * @returns {Map<string, Object>} Entries by path: { method, compressedSize, localOffset }
+     */
+    static readZipEntries(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        
+        // The end of central directory record sits before an optional comment of up to 64 KB
+        let end = -1;
+        for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xFFFF); i--) {
+            if (view.getUint32(i, true) === 0x06054B50) {
+                end = i;
+                break;
+            }
+        }
+        if (end < 0) {
+            throw new Error('The ZIP archive is damaged (no central directory)');
+        }
+        
+        const entries = new Map();
+        const count = view.getUint16(end + 10, true);
+        let offset = view.getUint32(end + 16, true);
+        for (let i = 0; i < count; i++) {
+            if (offset + 46 > bytes.length || view.getUint32(offset, true) !== 0x02014B50) {
+                throw new Error('The ZIP archive is damaged (bad central directory entry)');
+            }
+            const nameLength = view.getUint16(offset + 28, true);
+            const name = new TextDecoder().decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+            entries.set(name, {
+                method: view.getUint16(offset + 10, true),
+                compressedSize: view.getUint32(offset + 20, true),
+                localOffset: view.getUint32(offset + 42, true)
+            });
+            offset += 46 + nameLength + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+        }
+        return entries;
+    }
+
+    /**
+     * Extract one file of a ZIP archive (stored or DEFLATE-compressed)
+     * @param {Uint8Array} bytes - The whole archive
+     * @param {Object} entry - Entry from readZipEntries
+     * @returns {Promise<Uint8Array>} File contents
+     */
+    static async readZipFile(bytes, entry) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const local = entry.localOffset;
+        if (local + 30 > bytes.length || view.getUint32(local, true) !== 0x04034B50) {
+            throw new Error('The ZIP archive is damaged (bad local file header)');
+        }
+        
+        const start = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+        const data = bytes.subarray(start, start + entry.compressedSize);
+        if (entry.method === 0) {
+            return data;
+        }
+        if (entry.method === 8) {
+            return this.inflateRaw(data);
+        }
+        throw new Error(`Unsupported ZIP compression method ${entry.method}`);
+    }
+
+    /**
+     * Inflate raw DEFLATE data to bytes
+     * @param {Uint8Array} data
+     * @returns {Promise<Uint8Array>}
+     */
+    static async inflateRaw(data) {
+        return this.decompressBytes(data, 'raw');
+    }
+
+    /**
+     * Run data through a DecompressionStream and collect the output
+     * @param {Uint8Array} data
+     * @param {string} format - 'deflate-raw', 'deflate' or 'gzip'
+     * @returns {Promise<Uint8Array>}
+     */
+    static async decompressWithStream(data, format) {
+        const stream = new DecompressionStream(format);
+        const writer = stream.writable.getWriter();
+        const reader = stream.readable.getReader();
+        
+        // Corrupt data rejects these as well as the reads; the read error is the one reported
+        writer.write(data).catch(() => {});
+        writer.close().catch(() => {});
+        
+        const chunks = [];
+        let done = false;
+        
+        while (!done) {
+            const { value, done: readerDone } = await reader.read();
+            done = readerDone;
+            if (value) chunks.push(value);
+        }
+        
+        const decompressed = new Uint8Array(chunks.reduce((acc, chunk) => acc + chunk.length, 0));
+        let offset = 0;
+        for (const chunk of chunks) {
+            decompressed.set(chunk, offset);
+            offset += chunk.length;
+        }
+        return decompressed;
+    }
+
+    /**
+     * Check whether bytes start (after whitespace and a UTF-8 BOM) with a JSON object
+     * @param {Uint8Array} bytes
+     * @returns {boolean}
+     */
+    static looksLikeJson(bytes) {
+        let i = 0;
+        if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+            i = 3;
+        }
+        while (i < bytes.length && (bytes[i] === 0x20 || bytes[i] === 0x09 || bytes[i] === 0x0A || bytes[i] === 0x0D)) {
+            i++;
+        }
+        return bytes[i] === 0x7B; // '{'
+    }
+
     /**
      * Convert base64 string to Uint8Array
      * @param {string} base64 
@@ -171,25 +516,14 @@ class TabDataDecoder {
     }
 
     /**
-     * Decompress gzipped data using browser's DecompressionStream
-     * Falls back to using pako library or assuming uncompressed data
+     * Decompress gzip, zlib or raw DEFLATE data (detected from the header) to text
      * @param {Uint8Array} compressedData 
      * @returns {string}
      */
     static async decompressData(compressedData) {
         console.log('Attempting to decompress data of length:', compressedData.length);
-        const isMobile = /Android|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
-        
-        // Check if pako library loaded properly
-        if (typeof pako === 'undefined') {
-            console.error('Pako library not available - this may cause decompression to fail on mobile');
-            if (isMobile) {
-                throw new Error('Compression library not available on mobile browser');
-            }
-        }
         
         // Debug: Check what format we actually have
-        console.log('First 4 bytes:', compressedData[0], compressedData[1], compressedData[2], compressedData[3]);
         console.log('First 4 bytes (hex):', 
             compressedData[0]?.toString(16).padStart(2, '0'),
             compressedData[1]?.toString(16).padStart(2, '0'),
@@ -197,150 +531,286 @@ class TabDataDecoder {
             compressedData[3]?.toString(16).padStart(2, '0')
         );
         
-        // Auto-detect compression format
-        if (compressedData[0] === 0x1f && compressedData[1] === 0x8b) {
-            console.log('Detected: gzip format');
-            if (typeof pako !== 'undefined') {
-                const decompressed = pako.ungzip(compressedData, { to: 'string' });
-                console.log('Gzip decompression successful, result length:', decompressed.length);
-                return decompressed;
-            }
-        } else if (compressedData[0] === 0x78) {
-            // 0x78 indicates zlib format (various compression levels)
-            console.log('Detected: zlib format (header: 0x78 0x' + compressedData[1].toString(16) + ')');
-            if (typeof pako !== 'undefined') {
-                const decompressed = pako.inflate(compressedData, { to: 'string' });
-                console.log('Zlib decompression successful, result length:', decompressed.length);
-                return decompressed;
-            }
-        } else {
-            console.log('Detected: raw DEFLATE or uncompressed data');
-        }
+        const format = Inflate.detectFormat(compressedData);
+        console.log('Detected:', format, 'format');
         
         try {
-            // Try pako first since it's more reliable for raw DEFLATE
-            if (typeof pako !== 'undefined') {
-                console.log('Using pako for raw deflate decompression');
-                const decompressed = pako.inflateRaw(compressedData, { to: 'string' });
-                console.log('Pako decompression successful, result length:', decompressed.length);
-                return decompressed;
-            }
-            
-            // Fallback to DecompressionStream if pako not available
-            if (typeof DecompressionStream !== 'undefined') {
-                console.log('Using DecompressionStream with deflate-raw');
-                const stream = new DecompressionStream('deflate-raw');
-                const writer = stream.writable.getWriter();
-                const reader = stream.readable.getReader();
-                
-                writer.write(compressedData);
-                writer.close();
-                
-                const chunks = [];
-                let done = false;
-                
-                while (!done) {
-                    const { value, done: readerDone } = await reader.read();
-                    done = readerDone;
-                    if (value) chunks.push(value);
-                }
-                
-                const decompressed = new Uint8Array(chunks.reduce((acc, chunk) => acc + chunk.length, 0));
-                let offset = 0;
-                for (const chunk of chunks) {
-                    decompressed.set(chunk, offset);
-                    offset += chunk.length;
-                }
-                
-                const result = new TextDecoder().decode(decompressed);
-                console.log('DecompressionStream successful, result length:', result.length);
-                return result;
-            }
-            
-            // No decompression available
-            console.warn('No decompression available, assuming uncompressed data');
-            return new TextDecoder().decode(compressedData);
+            const result = new TextDecoder().decode(await this.decompressBytes(compressedData, format));
+            console.log('Decompression successful, result length:', result.length);
+            return result;
         } catch (error) {
-            console.warn('All decompression methods failed:', error);
+            console.warn('Decompression failed:', error);
             throw new Error('Decompression failed: ' + error.message);
         }
     }
 
     /**
-     * Validate that the decoded data has the expected structure
+     * Decompress with the browser's native DecompressionStream when it has one
+     * (faster on large files), otherwise or if it fails with the bundled Inflate
+     * @param {Uint8Array} data
+     * @param {string} format - 'gzip', 'zlib' or 'raw'
+     * @returns {Promise<Uint8Array>}
+     */
+    static async decompressBytes(data, format) {
+        if (typeof DecompressionStream !== 'undefined') {
+            try {
+                return await this.decompressWithStream(data, TabDataDecoder.STREAM_FORMATS[format]);
+            } catch (error) {
+                console.warn(`DecompressionStream could not read the ${format} data, using the bundled inflate:`, error);
+            }
+        }
+        return Inflate.decompress(data, format);
+    }
+
+    /**
+     * Validate that the decoded data has the expected structure.
+     * Fatal problems (the tab cannot be played) are reported as errors; problems
+     * the player can work around (unknown fields, out-of-range frets) as warnings.
+     * Each issue is { severity, code, path, message }, with paths such as
+     * "measures[3].notes[2].fret". An invalid tempo is removed so the default is used.
      * @param {Object} tabData 
-     * @returns {boolean}
+     * @returns {{valid: boolean, errors: Object[], warnings: Object[]}}
      */
     static validateTabData(tabData) {
         console.log('Validating tab data:', tabData);
         
-        if (!tabData || typeof tabData !== 'object') {
-            console.log('Validation failed: not an object');
-            return false;
+        const report = { valid: true, errors: [], warnings: [] };
+        const error = (code, path, message) => report.errors.push({ severity: 'error', code, path, message });
+        const warning = (code, path, message) => report.warnings.push({ severity: 'warning', code, path, message });
+        
+        if (!tabData || typeof tabData !== 'object' || Array.isArray(tabData)) {
+            error('invalid-type', '', 'Tab data is not an object');
+            return this.finishValidation(report);
         }
+        
+        this.checkUnknownFields(tabData, TabDataDecoder.KNOWN_TAB_FIELDS, '', warning);
 
         // Check version and handle format differences
         const version = tabData.version || 1;
         console.log('Tab data version:', version);
         
+        if (!TabDataDecoder.SUPPORTED_VERSIONS.includes(version)) {
+            warning('unsupported-version', 'version', `Version ${version} is not supported, reading it as version 1`);
+        }
+        
+        let stringCount = null;
         if (version === 2) {
             // Version 2 format validation
-            if (!tabData.instrumentConfig) {
-                console.log('Validation failed: version 2 missing instrumentConfig');
-                return false;
-            }
-            
-            // Validate instrument config structure
             const config = tabData.instrumentConfig;
-            if (!config.name || !config.strings || !Array.isArray(config.strings)) {
-                console.log('Validation failed: invalid instrumentConfig structure');
-                return false;
+            if (!config || typeof config !== 'object') {
+                error('missing-field', 'instrumentConfig', 'Version 2 tabs need an instrumentConfig');
+            } else if (!Array.isArray(config.strings) || config.strings.length === 0) {
+                error('invalid-type', 'instrumentConfig.strings', 'instrumentConfig.strings must be a non-empty array');
+            } else {
+                if (!config.name) {
+                    warning('missing-field', 'instrumentConfig.name', 'Instrument has no name');
+                }
+                config.strings.forEach((string, i) => {
+                    if (!string || typeof string.midiNote !== 'number') {
+                        warning('invalid-type', `instrumentConfig.strings[${i}].midiNote`, 'String has no MIDI note, using the default tuning');
+                    }
+                });
+                stringCount = config.strings.length;
+                console.log('Instrument config:', config.name, 'with', stringCount, 'strings');
             }
-            
-            console.log('Instrument config:', config.name, 'with', config.strings.length, 'strings');
+        }
+        
+        if (tabData.tempo !== undefined && (typeof tabData.tempo !== 'number' || !(tabData.tempo > 0))) {
+            warning('out-of-range', 'tempo', `Tempo ${tabData.tempo} is invalid, using ${TabDataDecoder.DEFAULT_TEMPO} BPM`);
+            delete tabData.tempo;
         }
 
         // Check for required properties
-        if (!tabData.measures || !Array.isArray(tabData.measures)) {
-            console.log('Validation failed: no measures array');
-            return false;
+        if (!Array.isArray(tabData.measures)) {
+            error('missing-field', 'measures', 'Tab has no measures array');
+            return this.finishValidation(report);
+        }
+        
+        if (tabData.measures.length === 0) {
+            error('empty', 'measures', 'Tab has no measures');
         }
 
         console.log('Found', tabData.measures.length, 'measures');
 
         // Validate measures structure
-        for (let i = 0; i < tabData.measures.length; i++) {
-            const measure = tabData.measures[i];
+        tabData.measures.forEach((measure, i) => {
+            const measurePath = `measures[${i}]`;
             if (!measure || typeof measure !== 'object') {
-                console.log(`Validation failed: measure ${i} is not an object`);
-                return false;
+                error('invalid-type', measurePath, 'Measure is not an object');
+                return;
             }
             
-            if (!measure.notes || !Array.isArray(measure.notes)) {
-                console.log(`Validation failed: measure ${i} has no notes array`);
-                return false;
+            this.checkUnknownFields(measure, TabDataDecoder.KNOWN_MEASURE_FIELDS, measurePath, warning);
+            
+            if (measure.timeSignature !== undefined && !/^\d+\/\d+$/.test(measure.timeSignature)) {
+                warning('invalid-format', `${measurePath}.timeSignature`, `Time signature "${measure.timeSignature}" is invalid, using 4/4`);
+            }
+            
+            // A key name ("C", "Bb", "F#m") or sharps (positive) or flats (negative), as MusicXML's <fifths>
+            if (measure.keySignature !== undefined && StandardNotation.parseKeySignature(measure.keySignature) === null) {
+                warning('out-of-range', `${measurePath}.keySignature`, `Key signature "${measure.keySignature}" is invalid, using C major`);
+            }
+            
+            if (!Array.isArray(measure.notes)) {
+                error('missing-field', `${measurePath}.notes`, 'Measure has no notes array');
+                return;
             }
-
-            console.log(`Measure ${i} has ${measure.notes.length} notes`);
 
             // Validate note structure
-            for (let j = 0; j < measure.notes.length; j++) {
-                const note = measure.notes[j];
-                if (typeof note.string !== 'number' || 
-                    typeof note.fret !== 'number' ||
-                    typeof note.beatPosition !== 'number' ||
-                    typeof note.beatDuration !== 'number') {
-                    console.log(`Validation failed: note ${j} in measure ${i} has invalid structure:`, note);
-                    return false;
-                }
+            measure.notes.forEach((note, j) => {
+                this.validateNote(note, `${measurePath}.notes[${j}]`, stringCount, error, warning);
+            });
+        });
+
+        return this.finishValidation(report);
+    }
+
+    /**
+     * Validate one note: timing and position fields, then its optional techniques.
+     * bend: semitones bent up (0 < bend <= 4); slide, hammerOn, pullOff: the note is
+     * reached from the previous note on the same string without a new pluck;
+     * vibrato, palmMute: booleans
+     */
+    static validateNote(note, path, stringCount, error, warning) {
+        if (!note || typeof note !== 'object') {
+            error('invalid-type', path, 'Note is not an object');
+            return;
+        }
+        
+        let isValid = true;
+        for (const field of ['string', 'fret', 'beatPosition', 'beatDuration']) {
+            if (typeof note[field] !== 'number' || !isFinite(note[field])) {
+                error(note[field] === undefined ? 'missing-field' : 'invalid-type', `${path}.${field}`, `${field} must be a number`);
+                isValid = false;
+            }
+        }
+        
+        this.checkUnknownFields(note, TabDataDecoder.KNOWN_NOTE_FIELDS, path, warning);
+        
+        if (isValid) {
+            if (note.string < 0 || !Number.isInteger(note.string)) {
+                error('out-of-range', `${path}.string`, `String ${note.string} does not exist`);
+            } else if (stringCount !== null && note.string >= stringCount) {
+                warning('out-of-range', `${path}.string`, `String ${note.string + 1} is not on this ${stringCount}-string instrument, the note will be skipped`);
+            }
+            
+            if (note.fret > TabDataDecoder.MAX_FRET || (note.fret < 0 && note.fret !== -1) || !Number.isInteger(note.fret)) {
+                warning('out-of-range', `${path}.fret`, `Fret ${note.fret} is outside 0-${TabDataDecoder.MAX_FRET}`);
+            }
+            
+            if (note.beatPosition < 0) {
+                error('out-of-range', `${path}.beatPosition`, 'Beat position is negative');
+            }
+            
+            if (note.beatDuration <= 0) {
+                warning('out-of-range', `${path}.beatDuration`, 'Duration is not positive');
+            }
+        }
+        
+        if (note.bend !== undefined) {
+            if (typeof note.bend !== 'number') {
+                error('invalid-type', `${path}.bend`, 'bend must be a number of semitones');
+            } else if (!(note.bend > 0 && note.bend <= 4)) {
+                warning('out-of-range', `${path}.bend`, `Bend of ${note.bend} semitones is outside 0-4`);
+            }
+        }
+        
+        for (const field of TabDataDecoder.TECHNIQUE_FLAGS) {
+            if (note[field] !== undefined && typeof note[field] !== 'boolean') {
+                error('invalid-type', `${path}.${field}`, `${field} must be true or false`);
+            }
+        }
+        
+        // Listed in the order playback gives them priority
+        const legato = ['hammerOn', 'pullOff', 'slide'].filter(field => note[field] === true);
+        if (legato.length > 1) {
+            warning('conflict', path, `Note combines ${legato.join(' and ')}, only ${legato[0]} is used`);
+        }
+    }
+
+    /**
+     * Warn about fields the player does not know (typos, newer formats)
+     */
+    static checkUnknownFields(object, knownFields, path, warning) {
+        for (const field of Object.keys(object)) {
+            if (!knownFields.includes(field)) {
+                warning('unknown-field', path ? `${path}.${field}` : field, `Unknown field "${field}" is ignored`);
             }
         }
+    }
 
-        console.log('Validation passed!');
-        return true;
+    /**
+     * Mark the report valid when there are no fatal errors and log the outcome
+     */
+    static finishValidation(report) {
+        report.valid = report.errors.length === 0;
+        
+        for (const issue of [...report.errors, ...report.warnings]) {
+            console.log(`Validation ${issue.severity} at ${issue.path || '(root)'}: ${issue.message}`);
+        }
+        console.log(report.valid ? 'Validation passed!' : 'Validation failed', `(${report.errors.length} errors, ${report.warnings.length} warnings)`);
+        return report;
     }
 }
 
 // For backward compatibility and alternative data formats
 TabDataDecoder.SUPPORTED_VERSIONS = [1, 2];
-TabDataDecoder.DEFAULT_TEMPO = 120;
\ No newline at end of file
+TabDataDecoder.DEFAULT_TEMPO = 120;
+TabDataDecoder.TECHNIQUE_FLAGS = ['slide', 'hammerOn', 'pullOff', 'vibrato', 'palmMute'];
+TabDataDecoder.MAX_FRET = 36;
+TabDataDecoder.STREAM_FORMATS = { gzip: 'gzip', zlib: 'deflate', raw: 'deflate-raw' };
+TabDataDecoder.KNOWN_TAB_FIELDS = ['version', 'title', 'tempo', 'measures', 'instrumentConfig'];
+TabDataDecoder.KNOWN_MEASURE_FIELDS = ['notes', 'timeSignature', 'keySignature', 'tripletRegions'];
+TabDataDecoder.KNOWN_NOTE_FIELDS = ['string', 'fret', 'beatPosition', 'beatDuration', 'globalBeatPosition', 'bend', ...TabDataDecoder.TECHNIQUE_FLAGS];
+// Compact binary share format, see decodeBinary
+TabDataDecoder.BINARY_VERSION = 4;
+TabDataDecoder.BINARY_TICKS_PER_BEAT = 96;
+TabDataDecoder.BINARY_TECHNIQUES = ['bend', ...TabDataDecoder.TECHNIQUE_FLAGS];
+
+/**
+ * Reads bit-packed fields (most significant bit first) from a byte array
+ */
+class BitReader {
+    constructor(bytes) {
+        this.bytes = bytes;
+        this.bitPosition = 0;
+    }
+
+    readBits(count) {
+        let value = 0;
+        for (let i = 0; i < count; i++) {
+            if (this.bitPosition >= this.bytes.length * 8) {
+                throw new Error('Binary tab data is truncated');
+            }
+            const bit = (this.bytes[this.bitPosition >> 3] >> (7 - (this.bitPosition & 7))) & 1;
+            value = value * 2 + bit;
+            this.bitPosition++;
+        }
+        return value;
+    }
+
+    /**
+     * Number stored in groups of groupBits, least significant first, each followed by a continuation bit
+     */
+    readVarint(groupBits) {
+        let value = 0;
+        let scale = 1;
+        do {
+            value += this.readBits(groupBits) * scale;
+            scale *= Math.pow(2, groupBits);
+            if (scale > Number.MAX_SAFE_INTEGER) {
+                throw new Error('Binary tab data has an invalid number');
+            }
+        } while (this.readBits(1));
+        return value;
+    }
+
+    readString() {
+        const length = this.readVarint(6);
+        const bytes = new Uint8Array(length);
+        for (let i = 0; i < length; i++) {
+            bytes[i] = this.readBits(8);
+        }
+        return new TextDecoder().decode(bytes);
+    }
+}
\ No newline at end of file
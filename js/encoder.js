@@ -0,0 +1,195 @@
+/**
+ * Guitar Tab Web Player - Share Link Encoder
+ * Writes tab data in the compact binary share format (version 4) and builds share links
+ */
+
+class TabDataEncoder {
+    /**
+     * Build a share link that opens the tab in this player
+     * @param {Object} tabData - Version 1 or 2 tab data
+     * @param {Object} options - Optional { tempo, baseUrl }
+     * @returns {string} Share link
+     */
+    static createShareUrl(tabData, options = {}) {
+        const baseUrl = options.baseUrl || window.location.href.split('#')[0];
+        const bytes = this.encodeBinary(tabData, options);
+        const url = `${baseUrl}#v=${TabDataDecoder.BINARY_VERSION}&data=${this.toBase64Url(bytes)}`;
+        console.log(`Share link: ${bytes.length} bytes of tab data, ${url.length} characters`);
+        return url;
+    }
+
+    /**
+     * Encode tab data in the version 4 binary format (the layout is described at
+     * TabDataDecoder.decodeBinary). Positions and durations are rounded to 1/96
+     * of a beat and bends to quarter semitones; notes that cannot be stored (strings
+     * past 15, frets below -1) are left out.
+     * @param {Object} tabData - Version 1 or 2 tab data
+     * @param {Object} options - Optional { tempo } overriding the tab's tempo
+     * @returns {Uint8Array}
+     */
+    static encodeBinary(tabData, options = {}) {
+        const writer = new BitWriter();
+        const config = tabData.version === 2 ? tabData.instrumentConfig : null;
+        const tempo = Math.round(options.tempo || tabData.tempo || 0);
+        const strings = config ? config.strings : [];
+        if (strings.length > 15) {
+            throw new Error('Share links support instruments with up to 15 strings');
+        }
+
+        writer.writeBits(TabDataDecoder.BINARY_VERSION, 8);
+        writer.writeBits(tabData.title ? 1 : 0, 1);
+        writer.writeBits(tempo > 0 ? 1 : 0, 1);
+        writer.writeBits(config && config.name ? 1 : 0, 1);
+        if (tabData.title) {
+            writer.writeString(tabData.title);
+        }
+        if (tempo > 0) {
+            writer.writeVarint(tempo, 6);
+        }
+        if (config && config.name) {
+            writer.writeString(config.name);
+        }
+
+        writer.writeBits(strings.length, 4);
+        for (const string of strings) {
+            writer.writeBits(Math.max(0, Math.min(127, Math.round(string.midiNote) || 0)), 7);
+        }
+
+        const ticks = TabDataDecoder.BINARY_TICKS_PER_BEAT;
+        const toTicks = (beats) => Math.max(0, Math.round((beats || 0) * ticks));
+
+        writer.writeVarint(tabData.measures.length, 4);
+        let previousSignature = '4/4';
+        let previousKey = 0;
+        for (const measure of tabData.measures) {
+            const signature = measure.timeSignature || '4/4';
+            const [numerator, denominator] = signature.split('/').map(n => parseInt(n));
+            if (signature !== previousSignature && numerator > 0 && denominator > 0) {
+                writer.writeBits(1, 1);
+                writer.writeVarint(numerator, 3);
+                writer.writeVarint(denominator, 3);
+                previousSignature = signature;
+            } else {
+                writer.writeBits(0, 1);
+            }
+
+            // Key names ("Bb") are stored as sharps or flats, like the validator reads them
+            const key = StandardNotation.getKeySignature(measure);
+            if (key !== previousKey) {
+                writer.writeBits(1, 1);
+                writer.writeBits(key & 0x0F, 4);
+                previousKey = key;
+            } else {
+                writer.writeBits(0, 1);
+            }
+
+            const notes = measure.notes
+                .filter(note => Number.isInteger(note.string) && note.string >= 0 && note.string < 16 && note.fret >= -1)
+                .map(note => ({ note, start: toTicks(note.beatPosition) }))
+                .sort((a, b) => a.start - b.start);
+
+            writer.writeVarint(notes.length, 4);
+            let position = 0;
+            let duration = null;
+            for (const { note, start } of notes) {
+                writer.writeVarint(start - position, 4);
+                position = start;
+
+                const length = toTicks(note.beatDuration);
+                if (length === duration) {
+                    writer.writeBits(1, 1);
+                } else {
+                    writer.writeBits(0, 1);
+                    writer.writeVarint(length, 4);
+                    duration = length;
+                }
+
+                writer.writeBits(note.string, 4);
+                writer.writeVarint(Math.round(note.fret) + 1, 3);
+
+                const bend = Math.min(31, Math.round((note.bend || 0) * 4));
+                const flags = TabDataDecoder.BINARY_TECHNIQUES.reduce((bits, technique, i) => {
+                    const isSet = technique === 'bend' ? bend > 0 : note[technique] === true;
+                    return isSet ? bits | (1 << i) : bits;
+                }, 0);
+                writer.writeBits(flags ? 1 : 0, 1);
+                if (flags) {
+                    writer.writeBits(flags, TabDataDecoder.BINARY_TECHNIQUES.length);
+                    if (bend > 0) {
+                        writer.writeBits(bend, 5);
+                    }
+                }
+            }
+
+            const regions = (measure.tripletRegions || []).filter(r => r && r.region);
+            writer.writeVarint(regions.length, 2);
+            for (const { stringIndex, region } of regions) {
+                const start = toTicks(region.startBeat);
+                writer.writeBits(Math.max(0, Math.min(15, stringIndex || 0)), 4);
+                writer.writeVarint(start, 4);
+                writer.writeVarint(Math.max(0, toTicks(region.endBeat) - start), 4);
+            }
+        }
+
+        return writer.toBytes();
+    }
+
+    /**
+     * Base64 with - and _ instead of + and / and no padding, so links need no escaping
+     * @param {Uint8Array} bytes
+     * @returns {string}
+     */
+    static toBase64Url(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i++) {
+            binary += String.fromCharCode(bytes[i]);
+        }
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+}
+
+/**
+ * Writes bit-packed fields (most significant bit first), the counterpart of BitReader
+ */
+class BitWriter {
+    constructor() {
+        this.bytes = [];
+        this.bitCount = 0;
+    }
+
+    writeBits(value, count) {
+        for (let i = count - 1; i >= 0; i--) {
+            if ((this.bitCount & 7) === 0) {
+                this.bytes.push(0);
+            }
+            if (Math.floor(value / Math.pow(2, i)) & 1) {
+                this.bytes[this.bytes.length - 1] |= 0x80 >> (this.bitCount & 7);
+            }
+            this.bitCount++;
+        }
+    }
+
+    /**
+     * Number in groups of groupBits, least significant first, each followed by a continuation bit
+     */
+    writeVarint(value, groupBits) {
+        const groupSize = Math.pow(2, groupBits);
+        do {
+            this.writeBits(value % groupSize, groupBits);
+            value = Math.floor(value / groupSize);
+            this.writeBits(value > 0 ? 1 : 0, 1);
+        } while (value > 0);
+    }
+
+    writeString(text) {
+        const bytes = new TextEncoder().encode(text);
+        this.writeVarint(bytes.length, 6);
+        for (const byte of bytes) {
+            this.writeBits(byte, 8);
+        }
+    }
+
+    toBytes() {
+        return new Uint8Array(this.bytes);
+    }
+}
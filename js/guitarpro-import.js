@@ -0,0 +1,873 @@
+/**
+ * Guitar Tab Web Player - Guitar Pro Import
+ * Reads Guitar Pro 5 (.gp5), Guitar Pro 6 (.gpx) and Guitar Pro 7+ (.gp) files
+ * into v2 tab data, one tab per fretted track
+ */
+
+class GuitarProImporter {
+    /**
+     * Check whether bytes start like a Guitar Pro 3-5 or Guitar Pro 6 file
+     * (Guitar Pro 7 files are ZIP archives, see TabDataDecoder.decodeZipFile)
+     * @param {Uint8Array} bytes
+     * @returns {boolean}
+     */
+    static looksLikeGuitarPro(bytes) {
+        const header = String.fromCharCode(...bytes.subarray(0, 19));
+        return header.substring(1).startsWith('FICHIER GUITAR') || /^BCF[SZ]/.test(header);
+    }
+
+    /**
+     * Parse a Guitar Pro 5 or Guitar Pro 6 file
+     * @param {Uint8Array} bytes - File contents
+     * @returns {{title: string|undefined, tracks: Object[]}} Version 2 tab data for each fretted track
+     */
+    static parse(bytes) {
+        const header = String.fromCharCode(...bytes.subarray(0, 4));
+        if (header === 'BCFZ' || header === 'BCFS') {
+            return this.parseGpif(this.readGpxScore(bytes));
+        }
+        return this.buildTracks(this.readGuitarPro5(bytes));
+    }
+
+    /**
+     * Parse the score.gpif XML document of a Guitar Pro 6 or 7 file
+     * @param {string} text - GPIF source
+     * @returns {{title: string|undefined, tracks: Object[]}} Version 2 tab data for each fretted track
+     */
+    static parseGpif(text) {
+        return this.buildTracks(this.readGpif(text));
+    }
+
+    /**
+     * Read a Guitar Pro 5 file (v5.00 or v5.10) into the intermediate song model:
+     * { title, tempo, timeSignatures[], tracks[{ name, tuning, measures[beats[]] }] }
+     * where each beat is { position, duration, tripletUnit, notes[] } in quarter notes
+     */
+    static readGuitarPro5(bytes) {
+        const reader = new GuitarProReader(bytes);
+        const version = reader.readByteSizeString(30);
+        const match = version.match(/^FICHIER GUITARE? PRO v(\d+)\.(\d+)/);
+        if (!match) {
+            throw new Error('The file is not a Guitar Pro file');
+        }
+        if (match[1] !== '5') {
+            throw new Error(`Guitar Pro ${match[1]} files are not supported, please save the file as Guitar Pro 5 or later`);
+        }
+        const isVersion510 = parseInt(match[2]) > 0; // 5.10 adds RSE settings in several places
+
+        const song = { title: reader.readIntByteSizeString(), timeSignatures: [], tracks: [] };
+        reader.skipIntByteSizeStrings(8); // Subtitle, artist, album, words, music, copyright, tab, instructions
+        reader.skipIntByteSizeStrings(reader.readInt()); // Notice lines
+
+        // Lyrics: track, then five lines of (start measure, text)
+        reader.readInt();
+        for (let i = 0; i < 5; i++) {
+            reader.readInt();
+            reader.skip(reader.readInt());
+        }
+
+        if (isVersion510) {
+            reader.skip(4 + 4 + 11); // Master volume, unknown, equalizer
+        }
+
+        // Page setup: size, margins, proportion, header/footer flags, then ten template strings
+        reader.skip(4 * 2 + 4 * 4 + 4 + 2);
+        reader.skipIntByteSizeStrings(10);
+
+        reader.readIntByteSizeString(); // Tempo name
+        song.tempo = reader.readInt();
+        if (isVersion510) {
+            reader.skip(1); // Hide tempo
+        }
+        reader.skip(1 + 4); // Key signature, octave
+
+        const percussionChannels = [];
+        for (let i = 0; i < 64; i++) {
+            reader.readInt(); // Program
+            reader.skip(8); // Volume, balance, chorus, reverb, phaser, tremolo, padding
+            percussionChannels.push(i % 16 === 9);
+        }
+
+        reader.skip(19 * 2 + 4); // Coda/segno directions, master reverb
+
+        const measureCount = reader.readInt();
+        const trackCount = reader.readInt();
+
+        let timeSignature = [4, 4];
+        for (let i = 0; i < measureCount; i++) {
+            timeSignature = this.readMeasureHeader(reader, i, timeSignature);
+            song.timeSignatures.push(timeSignature.join('/'));
+        }
+
+        for (let i = 0; i < trackCount; i++) {
+            song.tracks.push(this.readTrack(reader, i, isVersion510, percussionChannels));
+        }
+        reader.skip(isVersion510 ? 1 : 2);
+
+        // Measures are stored measure by measure, each holding every track
+        for (let m = 0; m < measureCount; m++) {
+            for (const track of song.tracks) {
+                const beats = [];
+                for (let voice = 0; voice < 2; voice++) {
+                    let position = 0;
+                    const beatCount = reader.readInt();
+                    for (let b = 0; b < beatCount; b++) {
+                        const beat = this.readBeat(reader, track, isVersion510);
+                        beat.position = position;
+                        position += beat.advance;
+                        beats.push(beat);
+                    }
+                }
+                reader.skip(1); // Line break
+                track.measures.push(beats);
+            }
+        }
+
+        console.log(`Guitar Pro ${match[1]}.${match[2]} file: ${measureCount} measures, ${trackCount} tracks`);
+        return song;
+    }
+
+    /**
+     * Measure header: time signature changes, plus markers, repeats and keys that are skipped
+     */
+    static readMeasureHeader(reader, index, previousSignature) {
+        if (index > 0) {
+            reader.skip(1);
+        }
+        const flags = reader.readByte();
+        const timeSignature = previousSignature.slice();
+        if (flags & 0x01) {
+            timeSignature[0] = reader.readSignedByte();
+        }
+        if (flags & 0x02) {
+            timeSignature[1] = reader.readSignedByte();
+        }
+        if (flags & 0x08) {
+            reader.skip(1); // Repeat count
+        }
+        if (flags & 0x20) {
+            reader.readIntByteSizeString(); // Marker name
+            reader.skip(4); // Marker color
+        }
+        if (flags & 0x10) {
+            reader.skip(1); // Alternate ending
+        }
+        if (flags & 0x40) {
+            reader.skip(2); // Key signature
+        }
+        if (flags & 0x03) {
+            reader.skip(4); // Beaming
+        }
+        if (!(flags & 0x10)) {
+            reader.skip(1);
+        }
+        reader.skip(1); // Triplet feel
+        return timeSignature;
+    }
+
+    static readTrack(reader, index, isVersion510, percussionChannels) {
+        if (index === 0 || !isVersion510) {
+            reader.skip(1);
+        }
+        const flags = reader.readByte();
+        const name = reader.readByteSizeString(40);
+        const stringCount = reader.readInt();
+        const tuning = [];
+        for (let i = 0; i < 7; i++) {
+            const midiNote = reader.readInt();
+            if (i < stringCount) {
+                tuning.push(midiNote); // String 1, the highest, first
+            }
+        }
+        reader.readInt(); // MIDI port
+        const channelIndex = reader.readInt() - 1;
+        reader.readInt(); // Effects channel
+        reader.readInt(); // Fret count
+        reader.readInt(); // Capo
+        reader.skip(4); // Color
+        reader.skip(2 + 1 + 1); // Display flags, auto accentuation, MIDI bank
+
+        // RSE: humanize, unknown values, then the instrument
+        reader.skip(1 + 3 * 4 + 12);
+        reader.skip(4 + 4 + 4);
+        reader.skip(isVersion510 ? 4 : 3);
+        if (isVersion510) {
+            reader.skip(4); // Equalizer
+            reader.skipIntByteSizeStrings(2); // Effect and effect category
+        }
+
+        return {
+            name: name.trim(),
+            tuning,
+            isPercussion: !!(flags & 0x01) || !!percussionChannels[channelIndex],
+            measures: []
+        };
+    }
+
+    /**
+     * One beat of a voice: duration, optional chord diagram, text, effects and
+     * mix table change, then a note for each flagged string
+     */
+    static readBeat(reader, track, isVersion510) {
+        const flags = reader.readByte();
+        let status = 1;
+        if (flags & 0x40) {
+            status = reader.readByte(); // 0 = empty, 2 = rest
+        }
+
+        // Duration: -2 = whole ... 4 = 64th, optionally dotted or a tuplet
+        let duration = 4 / Math.pow(2, reader.readSignedByte() + 2);
+        if (flags & 0x01) {
+            duration *= 1.5;
+        }
+        let tripletUnit = null;
+        if (flags & 0x20) {
+            const enters = reader.readInt();
+            const times = GuitarProImporter.TUPLET_TIMES[enters];
+            if (times) {
+                duration = duration * times / enters;
+                if (enters === 3) {
+                    tripletUnit = duration;
+                }
+            }
+        }
+
+        if (flags & 0x02) {
+            reader.skip(17 + 22 + 4 + 4 + 7 * 4 + 32); // Chord diagram
+        }
+        if (flags & 0x04) {
+            reader.readIntByteSizeString(); // Text
+        }
+
+        let beatVibrato = false;
+        if (flags & 0x08) {
+            beatVibrato = this.readBeatEffects(reader);
+        }
+        if (flags & 0x10) {
+            this.readMixTableChange(reader, isVersion510);
+        }
+
+        const notes = [];
+        const stringFlags = reader.readByte();
+        track.tuning.forEach((_, string) => {
+            if (stringFlags & (1 << (6 - string))) {
+                const note = this.readNote(reader, string);
+                note.vibrato = note.vibrato || beatVibrato;
+                notes.push(note);
+            }
+        });
+
+        const displayFlags = reader.readShort();
+        if (displayFlags & 0x0800) {
+            reader.skip(1); // Secondary beam break
+        }
+
+        return {
+            duration,
+            advance: status === 0 ? 0 : duration,
+            tripletUnit,
+            notes: status === 2 ? [] : notes
+        };
+    }
+
+    /**
+     * Beat effects; only vibrato is kept
+     * @returns {boolean} Whether the beat has vibrato
+     */
+    static readBeatEffects(reader) {
+        const flags1 = reader.readByte();
+        const flags2 = reader.readByte();
+        if (flags1 & 0x20) {
+            reader.skip(1); // Tap, slap or pop
+        }
+        if (flags2 & 0x04) {
+            this.readBend(reader); // Tremolo bar
+        }
+        if (flags1 & 0x40) {
+            reader.skip(2); // Stroke up and down speeds
+        }
+        if (flags2 & 0x02) {
+            reader.skip(1); // Pick stroke
+        }
+        return !!(flags1 & 0x02);
+    }
+
+    /**
+     * Instrument, volume, effect and tempo changes. Values of -1 mean "no change"
+     * and have no transition duration.
+     */
+    static readMixTableChange(reader, isVersion510) {
+        reader.skip(1 + 16); // Program, RSE instrument
+        const values = [];
+        for (let i = 0; i < 6; i++) {
+            values.push(reader.readSignedByte()); // Volume, balance, chorus, reverb, phaser, tremolo
+        }
+        reader.readIntByteSizeString(); // Tempo name
+        const tempo = reader.readInt();
+        reader.skip(values.filter(value => value >= 0).length);
+        if (tempo >= 0) {
+            reader.skip(isVersion510 ? 2 : 1); // Transition, hide tempo
+        }
+        reader.skip(1 + 1); // Apply-to-all-tracks flags, wah
+        if (isVersion510) {
+            reader.skipIntByteSizeStrings(2); // RSE effect and category
+        }
+    }
+
+    static readNote(reader, string) {
+        const flags = reader.readByte();
+        const note = { string, fret: 0 };
+        if (flags & 0x20) {
+            const type = reader.readByte();
+            note.tie = type === 2;
+            note.dead = type === 3;
+        }
+        if (flags & 0x10) {
+            reader.skip(1); // Dynamic
+        }
+        if (flags & 0x20) {
+            note.fret = reader.readSignedByte();
+        }
+        if (flags & 0x80) {
+            reader.skip(2); // Fingering
+        }
+        if (flags & 0x01) {
+            reader.skip(8); // Duration percent (double)
+        }
+        reader.skip(1);
+        if (flags & 0x08) {
+            this.readNoteEffects(reader, note);
+        }
+        return note;
+    }
+
+    /**
+     * Note effects. Hammer-ons, pull-offs and slides are flagged on the note they
+     * start from; buildTracks moves them to the destination note.
+     */
+    static readNoteEffects(reader, note) {
+        const flags1 = reader.readByte();
+        const flags2 = reader.readByte();
+        if (flags1 & 0x01) {
+            const bend = this.readBend(reader);
+            if (bend > 0) {
+                note.bend = bend;
+            }
+        }
+        if (flags1 & 0x10) {
+            reader.skip(5); // Grace note
+        }
+        if (flags2 & 0x04) {
+            reader.skip(1); // Tremolo picking
+        }
+        if (flags2 & 0x08) {
+            const slide = reader.readSignedByte();
+            if (slide & 0x03) { // Shift or legato slide into the next note
+                note.legatoOrigin = 'slide';
+            }
+        }
+        if (flags2 & 0x10) {
+            const harmonic = reader.readSignedByte();
+            if (harmonic === 2) {
+                reader.skip(3);
+            } else if (harmonic === 3) {
+                reader.skip(1);
+            }
+        }
+        if (flags2 & 0x20) {
+            reader.skip(2); // Trill
+        }
+        if (flags1 & 0x02) {
+            note.legatoOrigin = 'legato';
+        }
+        note.palmMute = !!(flags2 & 0x02);
+        note.vibrato = !!(flags2 & 0x40);
+    }
+
+    /**
+     * Bend points; 100 units are a whole tone
+     * @returns {number} Highest point in semitones
+     */
+    static readBend(reader) {
+        reader.skip(1 + 4); // Type, value
+        const pointCount = reader.readInt();
+        let highest = 0;
+        for (let i = 0; i < pointCount; i++) {
+            reader.readInt(); // Position
+            highest = Math.max(highest, reader.readInt());
+            reader.skip(1); // Vibrato
+        }
+        return highest / 50;
+    }
+
+    /**
+     * Extract score.gpif from a Guitar Pro 6 container: a BCFS sector file
+     * system, usually compressed as BCFZ
+     * @returns {string} GPIF source
+     */
+    static readGpxScore(bytes) {
+        const header = String.fromCharCode(...bytes.subarray(0, 4));
+        const data = header === 'BCFZ' ? this.decompressBcfz(bytes) : bytes.subarray(4);
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        const getInt = (offset) => (offset + 4 <= data.length ? view.getInt32(offset, true) : 0);
+        const sectorSize = GuitarProImporter.GPX_SECTOR_SIZE;
+
+        // The first sector is a header; file entries (type 2) hold a name, a size and sector numbers
+        let offset = sectorSize;
+        while (offset + sectorSize <= data.length) {
+            if (getInt(offset) === 2) {
+                const nameBytes = data.subarray(offset + 4, offset + 4 + 127);
+                const nameEnd = nameBytes.indexOf(0);
+                const name = String.fromCharCode(...nameBytes.subarray(0, nameEnd < 0 ? nameBytes.length : nameEnd));
+                const size = getInt(offset + 0x8C);
+
+                const contents = new Uint8Array(size);
+                const entryOffset = offset;
+                let length = 0;
+                for (let i = 0, sector; (sector = getInt(entryOffset + 0x94 + 4 * i)) !== 0; i++) {
+                    const chunk = data.subarray(sector * sectorSize, sector * sectorSize + sectorSize);
+                    contents.set(chunk.subarray(0, Math.max(0, Math.min(chunk.length, size - length))), length);
+                    length = Math.min(size, length + chunk.length);
+                    // The next entry comes after this file's data
+                    offset = Math.max(offset, sector * sectorSize);
+                }
+
+                if (name === 'score.gpif') {
+                    return new TextDecoder().decode(contents);
+                }
+            }
+            offset += sectorSize;
+        }
+        throw new Error('The Guitar Pro 6 file has no score');
+    }
+
+    /**
+     * BCFZ decompression: a 32-bit length, then a bit stream of literal runs
+     * (flag 0, 2-bit count, bytes) and back-references (flag 1, 4-bit word
+     * size, offset and length stored least significant bit first)
+     * @returns {Uint8Array} The BCFS data after its 4-byte header
+     */
+    static decompressBcfz(bytes) {
+        const expectedLength = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength).getInt32(4, true);
+        const output = new Uint8Array(Math.max(0, expectedLength));
+        const totalBits = bytes.length * 8;
+        let bitPosition = 64; // After "BCFZ" and the length
+        let length = 0;
+
+        const readBit = () => {
+            if (bitPosition >= totalBits) {
+                throw new Error('The Guitar Pro 6 file is truncated');
+            }
+            const bit = (bytes[bitPosition >> 3] >> (7 - (bitPosition & 7))) & 1;
+            bitPosition++;
+            return bit;
+        };
+        const readBits = (count) => {
+            let value = 0;
+            for (let i = 0; i < count; i++) {
+                value = (value << 1) | readBit();
+            }
+            return value;
+        };
+        const readBitsReversed = (count) => {
+            let value = 0;
+            for (let i = 0; i < count; i++) {
+                value |= readBit() << i;
+            }
+            return value;
+        };
+
+        while (length < output.length) {
+            if (readBit() === 1) {
+                const wordSize = readBits(4);
+                const distance = readBitsReversed(wordSize);
+                const size = readBitsReversed(wordSize);
+                const source = length - distance;
+                if (source < 0) {
+                    throw new Error('The Guitar Pro 6 file is damaged');
+                }
+                const count = Math.min(distance, size, output.length - length);
+                for (let i = 0; i < count; i++) {
+                    output[length++] = output[source + i];
+                }
+            } else {
+                const size = readBitsReversed(2);
+                for (let i = 0; i < size && length < output.length; i++) {
+                    output[length++] = readBits(8);
+                }
+            }
+        }
+
+        return output.subarray(4);
+    }
+
+    /**
+     * Read a GPIF document (Guitar Pro 6 and 7) into the same song model as
+     * readGuitarPro5. GPIF stores the score as flat lists (bars, voices, beats,
+     * notes, rhythms) that refer to each other by id.
+     */
+    static readGpif(text) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        if (doc.querySelector('parsererror')) {
+            throw new Error('The Guitar Pro score is not well-formed XML');
+        }
+        const root = doc.documentElement;
+        if (root.nodeName !== 'GPIF') {
+            throw new Error('The file does not contain a Guitar Pro score');
+        }
+
+        const byId = (selector) => {
+            const map = new Map();
+            for (const element of root.querySelectorAll(selector)) {
+                map.set(element.getAttribute('id'), element);
+            }
+            return map;
+        };
+        const bars = byId(':scope > Bars > Bar');
+        const voices = byId(':scope > Voices > Voice');
+        const beats = byId(':scope > Beats > Beat');
+        const notes = byId(':scope > Notes > Note');
+        const rhythms = byId(':scope > Rhythms > Rhythm');
+
+        const song = { title: this.getText(root, ':scope > Score > Title'), timeSignatures: [], tracks: [] };
+
+        // Initial tempo from the master track's automations ("120 2" = 120 BPM, quarter note)
+        let firstBar = Infinity;
+        for (const automation of root.querySelectorAll(':scope > MasterTrack > Automations > Automation')) {
+            const bar = parseInt(this.getText(automation, 'Bar')) || 0;
+            if (this.getText(automation, 'Type') === 'Tempo' && bar < firstBar) {
+                firstBar = bar;
+                song.tempo = parseFloat(this.getText(automation, 'Value'));
+            }
+        }
+
+        for (const trackElement of root.querySelectorAll(':scope > Tracks > Track')) {
+            const pitches = this.getText(trackElement, 'Property[name="Tuning"] > Pitches');
+            song.tracks.push({
+                name: this.getText(trackElement, ':scope > Name') || '',
+                tuning: pitches ? this.getIds(pitches).map(Number).reverse() : [], // GPIF lists the lowest string first
+                isPercussion: !pitches,
+                measures: []
+            });
+        }
+
+        for (const masterBar of root.querySelectorAll(':scope > MasterBars > MasterBar')) {
+            const time = this.getText(masterBar, ':scope > Time') || '4/4';
+            song.timeSignatures.push(/^\d+\/\d+$/.test(time) ? time : '4/4');
+
+            const barIds = this.getIds(this.getText(masterBar, ':scope > Bars'));
+            song.tracks.forEach((track, t) => {
+                const measureBeats = [];
+                const bar = bars.get(barIds[t]);
+                const voiceIds = bar ? this.getIds(this.getText(bar, ':scope > Voices')).filter(id => id !== '-1') : [];
+
+                for (const voiceId of voiceIds) {
+                    const voice = voices.get(voiceId);
+                    if (!voice) continue;
+
+                    let position = 0;
+                    for (const beatId of this.getIds(this.getText(voice, ':scope > Beats'))) {
+                        const beatElement = beats.get(beatId);
+                        if (!beatElement || beatElement.querySelector(':scope > GraceNotes')) continue; // Grace notes take no time
+
+                        const rhythmRef = beatElement.querySelector(':scope > Rhythm');
+                        const beat = this.readGpifRhythm(rhythmRef ? rhythms.get(rhythmRef.getAttribute('ref')) : null);
+                        beat.position = position;
+                        position += beat.duration;
+
+                        const beatVibrato = !!beatElement.querySelector(':scope > Vibrato');
+                        beat.notes = this.getIds(this.getText(beatElement, ':scope > Notes'))
+                            .map(noteId => notes.get(noteId))
+                            .filter(noteElement => noteElement)
+                            .map(noteElement => this.readGpifNote(noteElement, track.tuning.length, beatVibrato))
+                            .filter(note => note.string >= 0 && note.string < track.tuning.length);
+                        measureBeats.push(beat);
+                    }
+                }
+                track.measures.push(measureBeats);
+            });
+        }
+
+        console.log(`Guitar Pro score: ${song.timeSignatures.length} measures, ${song.tracks.length} tracks`);
+        return song;
+    }
+
+    static readGpifRhythm(rhythm) {
+        let duration = rhythm ? GuitarProImporter.GPIF_NOTE_VALUES[this.getText(rhythm, 'NoteValue')] || 1 : 1;
+        const dot = rhythm && rhythm.querySelector('AugmentationDot');
+        if (dot) {
+            duration *= 2 - Math.pow(0.5, parseInt(dot.getAttribute('count')) || 1);
+        }
+
+        let tripletUnit = null;
+        const tuplet = rhythm && rhythm.querySelector('PrimaryTuplet');
+        if (tuplet) {
+            const num = parseInt(tuplet.getAttribute('num'));
+            const den = parseInt(tuplet.getAttribute('den'));
+            if (num > 0 && den > 0) {
+                duration = duration * den / num;
+                if (num === 3) {
+                    tripletUnit = duration;
+                }
+            }
+        }
+        return { duration, tripletUnit };
+    }
+
+    static readGpifNote(element, stringCount, beatVibrato) {
+        const property = (name) => element.querySelector(`:scope > Properties > Property[name="${name}"]`);
+        const getNumber = (name, valueTag) => {
+            const found = property(name);
+            return found ? parseFloat(this.getText(found, valueTag)) : NaN;
+        };
+
+        const string = getNumber('String', 'String');
+        const tie = element.querySelector(':scope > Tie');
+        const note = {
+            string: isNaN(string) ? -1 : stringCount - 1 - string, // GPIF string 0 is the lowest
+            fret: getNumber('Fret', 'Fret') || 0,
+            tie: !!tie && tie.getAttribute('destination') === 'true',
+            dead: !!property('Muted'),
+            palmMute: !!property('PalmMuted'),
+            vibrato: beatVibrato || !!element.querySelector(':scope > Vibrato'),
+            hopoDestination: !!property('HopoDestination')
+        };
+
+        if (property('Bended')) {
+            const highest = Math.max(getNumber('BendMiddleValue', 'Float') || 0, getNumber('BendDestinationValue', 'Float') || 0);
+            if (highest > 0) {
+                note.bend = highest / 50; // 100 = whole tone
+            }
+        }
+
+        if (getNumber('Slide', 'Flags') & 0x03) {
+            note.legatoOrigin = 'slide';
+        } else if (property('HopoOrigin')) {
+            note.legatoOrigin = 'legato';
+        }
+        return note;
+    }
+
+    /**
+     * Turn the song model into version 2 tab data for each fretted track with notes.
+     * Ties extend the previous note on the string; legato and slides flagged on
+     * the origin note are moved to the next note on the string.
+     */
+    static buildTracks(song) {
+        const names = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+        const tracks = [];
+
+        for (const track of song.tracks) {
+            if (track.isPercussion || track.tuning.length === 0) continue;
+
+            const measures = [];
+            const lastNoteByString = [];
+            const pendingTechniques = [];
+            let noteCount = 0;
+
+            song.timeSignatures.forEach((timeSignature, m) => {
+                const measure = { notes: [] };
+                if (timeSignature !== '4/4') {
+                    measure.timeSignature = timeSignature;
+                }
+                const tripletRegions = [];
+                let triplet = null;
+                const closeTriplet = () => {
+                    if (triplet) {
+                        tripletRegions.push({ stringIndex: triplet.stringIndex, region: { startBeat: triplet.startBeat, endBeat: triplet.endBeat } });
+                        triplet = null;
+                    }
+                };
+
+                for (const beat of track.measures[m] || []) {
+                    // Bracket each group of three triplet notes
+                    if (beat.tripletUnit) {
+                        if (triplet && Math.abs(beat.position - triplet.endBeat) > 1e-6) {
+                            closeTriplet();
+                        }
+                        if (!triplet) {
+                            const stringIndex = beat.notes.length > 0 ? beat.notes[0].string : 0;
+                            triplet = { startBeat: beat.position, length: beat.tripletUnit * 3, stringIndex };
+                        }
+                        triplet.endBeat = beat.position + beat.duration;
+                        if (triplet.endBeat - triplet.startBeat >= triplet.length - 1e-6) {
+                            closeTriplet();
+                        }
+                    } else {
+                        closeTriplet();
+                    }
+
+                    for (const gpNote of beat.notes) {
+                        const stringIndex = gpNote.string;
+                        const previous = lastNoteByString[stringIndex];
+
+                        if (gpNote.tie && previous) {
+                            previous.note.beatDuration = previous.measureIndex === m
+                                ? beat.position + beat.duration - previous.note.beatPosition
+                                : previous.note.beatDuration + beat.duration;
+                            continue;
+                        }
+                        if (gpNote.dead || gpNote.fret < 0) {
+                            pendingTechniques[stringIndex] = null;
+                            continue;
+                        }
+
+                        const note = { string: stringIndex, fret: gpNote.fret, beatPosition: beat.position, beatDuration: beat.duration };
+                        const pending = pendingTechniques[stringIndex];
+                        if (gpNote.hopoDestination || pending === 'legato') {
+                            if (previous && note.fret < previous.note.fret) {
+                                note.pullOff = true;
+                            } else {
+                                note.hammerOn = true;
+                            }
+                        } else if (pending === 'slide') {
+                            note.slide = true;
+                        }
+                        pendingTechniques[stringIndex] = gpNote.legatoOrigin || null;
+
+                        if (gpNote.bend) {
+                            note.bend = Math.min(4, gpNote.bend);
+                        }
+                        if (gpNote.vibrato) {
+                            note.vibrato = true;
+                        }
+                        if (gpNote.palmMute) {
+                            note.palmMute = true;
+                        }
+
+                        measure.notes.push(note);
+                        lastNoteByString[stringIndex] = { note, measureIndex: m };
+                        noteCount++;
+                    }
+                }
+                closeTriplet();
+
+                if (tripletRegions.length > 0) {
+                    measure.tripletRegions = tripletRegions;
+                }
+                measure.notes.sort((a, b) => a.beatPosition - b.beatPosition || a.string - b.string);
+                measures.push(measure);
+            });
+
+            if (noteCount === 0) continue;
+
+            const tabData = {
+                version: 2,
+                instrumentConfig: {
+                    name: track.name || `Track ${song.tracks.indexOf(track) + 1}`,
+                    strings: track.tuning.map(midiNote => ({ name: names[((midiNote % 12) + 12) % 12], midiNote }))
+                },
+                measures
+            };
+            if (song.title) {
+                tabData.title = song.title;
+            }
+            if (song.tempo > 0) {
+                tabData.tempo = Math.round(song.tempo);
+            }
+            tracks.push(tabData);
+        }
+
+        if (tracks.length === 0) {
+            throw new Error('The file has no fretted tracks with notes');
+        }
+
+        console.log(`Guitar Pro import: "${song.title || ''}", ${tracks.length} fretted tracks`);
+        return { title: song.title || undefined, tracks };
+    }
+
+    static getIds(text) {
+        return (text || '').split(/\s+/).filter(id => id);
+    }
+
+    static getText(element, selector) {
+        const found = element.querySelector(selector);
+        return found ? found.textContent.trim() : null;
+    }
+}
+
+// Tuplet enters -> times (e.g. 3 in the time of 2)
+GuitarProImporter.TUPLET_TIMES = { 3: 2, 5: 4, 6: 4, 7: 4, 9: 8, 10: 8, 11: 8, 12: 8, 13: 8 };
+GuitarProImporter.GPIF_NOTE_VALUES = {
+    Whole: 4, Half: 2, Quarter: 1, Eighth: 0.5, '16th': 0.25, '32nd': 0.125, '64th': 0.0625, '128th': 0.03125
+};
+GuitarProImporter.GPX_SECTOR_SIZE = 0x1000;
+
+/**
+ * Little-endian cursor over the bytes of a Guitar Pro 5 file
+ */
+class GuitarProReader {
+    constructor(bytes) {
+        this.bytes = bytes;
+        this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        this.position = 0;
+    }
+
+    require(count) {
+        if (count < 0 || this.position + count > this.bytes.length) {
+            throw new Error(`Unexpected end of the Guitar Pro file at byte ${this.position}`);
+        }
+    }
+
+    skip(count) {
+        this.require(count);
+        this.position += count;
+    }
+
+    readByte() {
+        this.require(1);
+        return this.bytes[this.position++];
+    }
+
+    readSignedByte() {
+        this.require(1);
+        return this.view.getInt8(this.position++);
+    }
+
+    readShort() {
+        this.require(2);
+        const value = this.view.getInt16(this.position, true);
+        this.position += 2;
+        return value;
+    }
+
+    readInt() {
+        this.require(4);
+        const value = this.view.getInt32(this.position, true);
+        this.position += 4;
+        return value;
+    }
+
+    /**
+     * A length byte followed by a fixed-size field of `size` bytes
+     */
+    readByteSizeString(size) {
+        const length = this.readByte();
+        this.require(size);
+        const text = this.decode(this.position, Math.min(length, size));
+        this.position += size;
+        return text;
+    }
+
+    /**
+     * An int holding the field size, then a length byte and the text
+     */
+    readIntByteSizeString() {
+        const size = this.readInt() - 1;
+        if (size < 0) {
+            return '';
+        }
+        return this.readByteSizeString(size);
+    }
+
+    skipIntByteSizeStrings(count) {
+        for (let i = 0; i < count; i++) {
+            this.readIntByteSizeString();
+        }
+    }
+
+    decode(start, length) {
+        // Guitar Pro 5 text is Windows-1252; Latin-1 is close enough for titles and names
+        return String.fromCharCode(...this.bytes.subarray(start, start + length));
+    }
+}
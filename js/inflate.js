@@ -0,0 +1,306 @@
+/**
+ * Guitar Tab Web Player - Inflate
+ * Self-contained DEFLATE decompression (RFC 1951) with zlib (RFC 1950) and
+ * gzip (RFC 1952) wrappers, so compressed share links and files work offline
+ */
+
+class Inflate {
+    /**
+     * Decompress data, detecting gzip and zlib headers (anything else is raw DEFLATE)
+     * @param {Uint8Array} data
+     * @param {string} format - Optional 'gzip', 'zlib' or 'raw'; detected when omitted
+     * @returns {Uint8Array} Decompressed bytes
+     */
+    static decompress(data, format = Inflate.detectFormat(data)) {
+        if (format === 'gzip') {
+            return this.gunzip(data);
+        }
+        if (format === 'zlib') {
+            return this.inflateZlib(data);
+        }
+        return this.inflateRaw(data);
+    }
+
+    /**
+     * @param {Uint8Array} data
+     * @returns {string} 'gzip', 'zlib' or 'raw'
+     */
+    static detectFormat(data) {
+        if (data[0] === 0x1F && data[1] === 0x8B) {
+            return 'gzip';
+        }
+        // zlib: compression method 8 and a header checksum that is a multiple of 31
+        if ((data[0] & 0x0F) === 8 && (data[0] >> 4) <= 7 && ((data[0] << 8) | data[1]) % 31 === 0) {
+            return 'zlib';
+        }
+        return 'raw';
+    }
+
+    /**
+     * Strip the gzip header (with its optional extra, name, comment and CRC fields) and inflate
+     */
+    static gunzip(data) {
+        if (data[0] !== 0x1F || data[1] !== 0x8B || data[2] !== 8) {
+            throw new Error('Not gzip data');
+        }
+        const flags = data[3];
+        let offset = 10;
+        if (flags & 0x04) { // FEXTRA
+            offset += 2 + (data[offset] | (data[offset + 1] << 8));
+        }
+        for (const flag of [0x08, 0x10]) { // FNAME, FCOMMENT: zero-terminated
+            if (flags & flag) {
+                while (offset < data.length && data[offset] !== 0) offset++;
+                offset++;
+            }
+        }
+        if (flags & 0x02) { // FHCRC
+            offset += 2;
+        }
+        if (offset >= data.length) {
+            throw new Error('Truncated gzip header');
+        }
+        return this.inflateRaw(data.subarray(offset));
+    }
+
+    /**
+     * Check the zlib header, inflate and verify the Adler-32 checksum
+     */
+    static inflateZlib(data) {
+        if (this.detectFormat(data) !== 'zlib') {
+            throw new Error('Not zlib data');
+        }
+        if (data[1] & 0x20) {
+            throw new Error('zlib data with a preset dictionary is not supported');
+        }
+
+        const state = { end: 0 };
+        const output = this.inflateRaw(data.subarray(2), state);
+
+        const end = 2 + state.end;
+        if (end + 4 <= data.length) {
+            const expected = ((data[end] << 24) | (data[end + 1] << 16) | (data[end + 2] << 8) | data[end + 3]) >>> 0;
+            if (this.adler32(output) !== expected) {
+                throw new Error('zlib checksum mismatch');
+            }
+        }
+        return output;
+    }
+
+    /**
+     * Inflate raw DEFLATE data
+     * @param {Uint8Array} data
+     * @param {Object} state - Optional; receives { end }, the byte offset after the last block
+     * @returns {Uint8Array}
+     */
+    static inflateRaw(data, state = {}) {
+        const input = { data, bitPosition: 0 };
+        let output = new Uint8Array(Math.max(1024, data.length * 4));
+        let length = 0;
+
+        const ensure = (extra) => {
+            if (length + extra > output.length) {
+                const grown = new Uint8Array(Math.max(output.length * 2, length + extra));
+                grown.set(output.subarray(0, length));
+                output = grown;
+            }
+        };
+
+        let isFinal = false;
+        while (!isFinal) {
+            isFinal = this.readBits(input, 1) === 1;
+            const type = this.readBits(input, 2);
+
+            if (type === 0) {
+                // Stored block: byte-aligned length, its complement, then the bytes
+                input.bitPosition = (input.bitPosition + 7) & ~7;
+                const offset = input.bitPosition >> 3;
+                if (offset + 4 > data.length) {
+                    throw new Error('Truncated DEFLATE data');
+                }
+                const blockLength = data[offset] | (data[offset + 1] << 8);
+                const complement = data[offset + 2] | (data[offset + 3] << 8);
+                if ((blockLength ^ 0xFFFF) !== complement) {
+                    throw new Error('Invalid stored block length');
+                }
+                if (offset + 4 + blockLength > data.length) {
+                    throw new Error('Truncated DEFLATE data');
+                }
+                ensure(blockLength);
+                output.set(data.subarray(offset + 4, offset + 4 + blockLength), length);
+                length += blockLength;
+                input.bitPosition = (offset + 4 + blockLength) * 8;
+                continue;
+            }
+
+            let literals;
+            let distances;
+            if (type === 1) {
+                literals = Inflate.FIXED_LITERALS;
+                distances = Inflate.FIXED_DISTANCES;
+            } else if (type === 2) {
+                [literals, distances] = this.readDynamicTables(input);
+            } else {
+                throw new Error('Invalid DEFLATE block type');
+            }
+
+            for (;;) {
+                const symbol = this.decodeSymbol(input, literals);
+                if (symbol < 256) {
+                    ensure(1);
+                    output[length++] = symbol;
+                } else if (symbol === 256) {
+                    break;
+                } else {
+                    const lengthIndex = symbol - 257;
+                    if (lengthIndex >= Inflate.LENGTH_BASE.length) {
+                        throw new Error('Invalid DEFLATE length code');
+                    }
+                    const copyLength = Inflate.LENGTH_BASE[lengthIndex] + this.readBits(input, Inflate.LENGTH_EXTRA[lengthIndex]);
+
+                    const distanceIndex = this.decodeSymbol(input, distances);
+                    if (distanceIndex >= Inflate.DISTANCE_BASE.length) {
+                        throw new Error('Invalid DEFLATE distance code');
+                    }
+                    const distance = Inflate.DISTANCE_BASE[distanceIndex] + this.readBits(input, Inflate.DISTANCE_EXTRA[distanceIndex]);
+                    if (distance > length) {
+                        throw new Error('DEFLATE distance is too far back');
+                    }
+
+                    // Byte by byte, since the copy may overlap the bytes it produces
+                    ensure(copyLength);
+                    for (let i = 0; i < copyLength; i++) {
+                        output[length] = output[length - distance];
+                        length++;
+                    }
+                }
+            }
+        }
+
+        state.end = (input.bitPosition + 7) >> 3;
+        return output.slice(0, length);
+    }
+
+    /**
+     * Read the code length code, then the literal/length and distance code lengths
+     * (with 16 = repeat previous, 17 and 18 = runs of zeros)
+     */
+    static readDynamicTables(input) {
+        const literalCount = this.readBits(input, 5) + 257;
+        const distanceCount = this.readBits(input, 5) + 1;
+        const codeLengthCount = this.readBits(input, 4) + 4;
+
+        const codeLengths = new Array(19).fill(0);
+        for (let i = 0; i < codeLengthCount; i++) {
+            codeLengths[Inflate.CODE_LENGTH_ORDER[i]] = this.readBits(input, 3);
+        }
+        const codeLengthTable = this.buildTable(codeLengths);
+
+        const lengths = [];
+        while (lengths.length < literalCount + distanceCount) {
+            const symbol = this.decodeSymbol(input, codeLengthTable);
+            if (symbol < 16) {
+                lengths.push(symbol);
+            } else if (symbol === 16) {
+                if (lengths.length === 0) {
+                    throw new Error('Invalid DEFLATE code lengths');
+                }
+                const previous = lengths[lengths.length - 1];
+                for (let i = 3 + this.readBits(input, 2); i > 0; i--) lengths.push(previous);
+            } else if (symbol === 17) {
+                for (let i = 3 + this.readBits(input, 3); i > 0; i--) lengths.push(0);
+            } else {
+                for (let i = 11 + this.readBits(input, 7); i > 0; i--) lengths.push(0);
+            }
+        }
+        if (lengths.length > literalCount + distanceCount) {
+            throw new Error('Invalid DEFLATE code lengths');
+        }
+
+        return [
+            this.buildTable(lengths.slice(0, literalCount)),
+            this.buildTable(lengths.slice(literalCount))
+        ];
+    }
+
+    /**
+     * Canonical Huffman table: how many codes have each length, and the
+     * symbols ordered by code
+     */
+    static buildTable(lengths) {
+        const counts = new Array(16).fill(0);
+        for (const length of lengths) {
+            counts[length]++;
+        }
+        counts[0] = 0;
+
+        const offsets = new Array(16).fill(0);
+        for (let length = 1; length < 15; length++) {
+            offsets[length + 1] = offsets[length] + counts[length];
+        }
+        const symbols = new Array(lengths.length);
+        lengths.forEach((length, symbol) => {
+            if (length) {
+                symbols[offsets[length]++] = symbol;
+            }
+        });
+        return { counts, symbols };
+    }
+
+    /**
+     * Decode one symbol a bit at a time: codes of each length are consecutive,
+     * so the code is in range once it is below first + count for its length
+     */
+    static decodeSymbol(input, table) {
+        let code = 0;
+        let first = 0;
+        let index = 0;
+        for (let length = 1; length <= 15; length++) {
+            code |= this.readBits(input, 1);
+            const count = table.counts[length];
+            if (code - first < count) {
+                return table.symbols[index + code - first];
+            }
+            index += count;
+            first = (first + count) << 1;
+            code <<= 1;
+        }
+        throw new Error('Invalid DEFLATE Huffman code');
+    }
+
+    /**
+     * Read bits least significant first, as DEFLATE packs them
+     */
+    static readBits(input, count) {
+        let value = 0;
+        for (let i = 0; i < count; i++) {
+            const position = input.bitPosition;
+            if (position >= input.data.length * 8) {
+                throw new Error('Truncated DEFLATE data');
+            }
+            value |= ((input.data[position >> 3] >> (position & 7)) & 1) << i;
+            input.bitPosition = position + 1;
+        }
+        return value;
+    }
+
+    static adler32(bytes) {
+        let a = 1;
+        let b = 0;
+        for (let i = 0; i < bytes.length; i++) {
+            a = (a + bytes[i]) % 65521;
+            b = (b + a) % 65521;
+        }
+        return ((b << 16) | a) >>> 0;
+    }
+}
+
+Inflate.LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+Inflate.LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+Inflate.DISTANCE_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+Inflate.DISTANCE_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+Inflate.CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+// Fixed Huffman codes for block type 1
+Inflate.FIXED_LITERALS = Inflate.buildTable(Array.from({ length: 288 }, (_, symbol) =>
+    symbol < 144 ? 8 : symbol < 256 ? 9 : symbol < 280 ? 7 : 8));
+Inflate.FIXED_DISTANCES = Inflate.buildTable(new Array(30).fill(5));
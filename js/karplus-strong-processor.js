@@ -0,0 +1,350 @@
+/**
+ * Guitar Tab Web Player - Karplus-Strong AudioWorklet
+ * Plucked-string synthesis running on the audio rendering thread
+ * Based on GuitarTabEditor's GuitarVoice class
+ */
+
+const MAX_VOICES = 24;
+const RELEASE_TIME = 0.08; // Seconds for a note to fade out after its stop time
+const SILENCE_THRESHOLD = 0.0001;
+const SLIDE_TIME = 0.06; // Seconds for a slide to reach the new fret
+const LEGATO_TIME = 0.004; // Seconds for a hammer-on or pull-off to change pitch
+const VIBRATO_RATE = 5.5; // Hz
+const VIBRATO_DEPTH = 0.25; // Semitones
+
+/**
+ * Small deterministic PRNG (mulberry32) so the pluck noise is reproducible
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Individual guitar voice using Karplus-Strong synthesis.
+ * The delay line is a circular buffer read at a fractional delay, so the
+ * pitch is accurate at high frets and can be changed while the string rings.
+ */
+class GuitarVoice {
+    constructor(sampleRate) {
+        this.sampleRate = sampleRate;
+        // Long enough for the lowest bass strings (~20 Hz)
+        this.bufferSize = Math.ceil(sampleRate / 20) + 8;
+        this.delayLine = new Float32Array(this.bufferSize);
+        this.writeIndex = 0;
+        this.isActive = false;
+        this.releaseCoefficient = Math.exp(Math.log(SILENCE_THRESHOLD) / (RELEASE_TIME * sampleRate));
+    }
+
+    start(params, startFrame) {
+        this.isActive = true;
+        this.stringIndex = params.stringIndex;
+        this.startFrame = startFrame;
+        this.stopFrame = params.stopFrame;
+        this.dampingFactor = params.damping;
+        // Wound strings and palm-muted notes use the darker three-point loop filter
+        this.isWound = params.isWound || params.palmMute;
+        this.outputGain = params.velocity * 0.5;
+        this.envelope = 1.0;
+        this.isReleasing = false;
+        this.glideFrames = 0;
+        this.noteFrequency = params.frequency;
+        this.setFrequency(params.frequency);
+        this.setTechniques(params, startFrame);
+        this.fillInitialNoise(params);
+    }
+
+    /**
+     * Continue the ringing string at a new pitch without re-plucking it
+     * (hammer-on, pull-off or slide into the next note)
+     */
+    legato(params, frame) {
+        this.startFrame = frame;
+        this.stopFrame = params.stopFrame;
+        this.isReleasing = false;
+        this.dampingFactor = params.damping;
+
+        // Glide from the pitch the string is sounding now to the new note
+        this.glideFromSemitones = 12 * Math.log2(this.currentFrequency / params.frequency);
+        this.glideStartFrame = frame;
+        this.glideFrames = Math.max(1, Math.round((params.legato === 'slide' ? SLIDE_TIME : LEGATO_TIME) * this.sampleRate));
+        this.noteFrequency = params.frequency;
+        this.setTechniques(params, frame);
+        this.isModulated = true;
+    }
+
+    /**
+     * Bend and vibrato envelopes for the current note. A bend rises between
+     * 10% and 40% of the note; vibrato starts once the attack has settled.
+     */
+    setTechniques(params, startFrame) {
+        const durationFrames = Math.max(1, params.stopFrame - startFrame);
+        this.bendSemitones = params.bend || 0;
+        this.bendStartFrame = startFrame + Math.round(durationFrames * 0.1);
+        this.bendEndFrame = startFrame + Math.max(1, Math.round(durationFrames * 0.4));
+        this.vibratoDepth = params.vibrato ? VIBRATO_DEPTH : 0;
+        this.vibratoStartFrame = startFrame + Math.min(Math.round(0.1 * this.sampleRate), Math.round(durationFrames * 0.25));
+        this.vibratoPhase = 0;
+        this.isModulated = this.bendSemitones > 0 || this.vibratoDepth > 0;
+    }
+
+    /**
+     * Pitch offset in semitones at a frame from glides, bends and vibrato
+     */
+    getPitchOffset(frame) {
+        let semitones = 0;
+
+        if (this.glideFrames > 0) {
+            const progress = (frame - this.glideStartFrame) / this.glideFrames;
+            if (progress < 1) {
+                semitones += this.glideFromSemitones * (1 - Math.max(0, progress));
+            } else {
+                this.glideFrames = 0;
+            }
+        }
+
+        if (this.bendSemitones > 0 && frame > this.bendStartFrame) {
+            const progress = Math.min(1, (frame - this.bendStartFrame) / (this.bendEndFrame - this.bendStartFrame));
+            semitones += this.bendSemitones * progress;
+        }
+
+        if (this.vibratoDepth > 0 && frame >= this.vibratoStartFrame) {
+            semitones += this.vibratoDepth * Math.sin(this.vibratoPhase);
+            this.vibratoPhase += 2 * Math.PI * VIBRATO_RATE / this.sampleRate;
+        }
+
+        return semitones;
+    }
+
+    /**
+     * Set the loop delay for a frequency, compensating for the loop filter's
+     * own delay (half a sample for the two-point average, one sample for the
+     * three-point wound-string filter)
+     */
+    setFrequency(frequency) {
+        this.currentFrequency = frequency;
+        const period = this.sampleRate / frequency;
+        const filterDelay = this.isWound ? 1.0 : 0.5;
+        this.delaySamples = Math.min(this.bufferSize - 4, Math.max(2, period - filterDelay));
+    }
+
+    fillInitialNoise(params) {
+        // Noise burst covering one period of the string, behind the write position
+        const length = Math.ceil(this.delaySamples) + 4;
+        const random = createRandom(params.seed);
+        const noise = new Float32Array(length);
+        for (let i = 0; i < length; i++) {
+            noise[i] = random() * 2 - 1;
+        }
+
+        // Pluck position: comb filter removes harmonics with a node at the pluck point
+        const pluckOffset = Math.max(1, Math.round(length * params.pluckPos));
+        // Softer plucks are darker: one-pole lowpass whose cutoff follows velocity
+        const brightness = 0.3 + 0.6 * params.velocity;
+
+        let previous = 0;
+        let mean = 0;
+        for (let i = 0; i < length; i++) {
+            const combed = noise[i] - (i >= pluckOffset ? noise[i - pluckOffset] : 0) * 0.9;
+            previous = brightness * combed + (1 - brightness) * previous;
+            noise[i] = previous;
+            mean += previous;
+        }
+        mean /= length;
+
+        let peak = 0;
+        for (let i = 0; i < length; i++) {
+            noise[i] -= mean; // Remove DC so the string settles to silence
+            peak = Math.max(peak, Math.abs(noise[i]));
+        }
+
+        this.delayLine.fill(0);
+        const scale = peak > 0 ? 1 / peak : 0;
+        for (let i = 0; i < length; i++) {
+            this.delayLine[i] = noise[i] * scale;
+        }
+        this.writeIndex = length;
+    }
+
+    /**
+     * Read the delay line at a fractional distance behind the write position
+     */
+    readDelayed(distance) {
+        let position = this.writeIndex - distance;
+        while (position < 0) position += this.bufferSize;
+        const index = Math.floor(position);
+        const fraction = position - index;
+        const next = index + 1 < this.bufferSize ? index + 1 : 0;
+        return this.delayLine[index] + (this.delayLine[next] - this.delayLine[index]) * fraction;
+    }
+
+    /**
+     * Start the release now (or at the stop frame if it is earlier)
+     */
+    releaseAt(frame) {
+        if (frame < this.stopFrame) {
+            this.stopFrame = frame;
+        }
+    }
+
+    render(output, from, to, blockStartFrame) {
+        for (let i = from; i < to; i++) {
+            const frame = blockStartFrame + i;
+            if (!this.isReleasing && frame >= this.stopFrame) {
+                this.isReleasing = true;
+            }
+
+            if (this.isModulated) {
+                this.setFrequency(this.noteFrequency * Math.pow(2, this.getPitchOffset(frame) / 12));
+            }
+            const delay = this.delaySamples;
+
+            // Karplus-Strong loop filter: low-pass average of adjacent delayed samples
+            let filteredSample;
+            if (this.isWound) {
+                // Wound strings lose high harmonics faster: wider three-point average
+                filteredSample = 0.25 * this.readDelayed(delay) +
+                    0.5 * this.readDelayed(delay + 1) +
+                    0.25 * this.readDelayed(delay + 2);
+            } else {
+                filteredSample = 0.5 * (this.readDelayed(delay) + this.readDelayed(delay + 1));
+            }
+
+            // Apply damping and write back into the loop
+            filteredSample *= this.dampingFactor;
+            this.delayLine[this.writeIndex] = filteredSample;
+            this.writeIndex = this.writeIndex + 1 < this.bufferSize ? this.writeIndex + 1 : 0;
+
+            if (this.isReleasing) {
+                this.envelope *= this.releaseCoefficient;
+                if (this.envelope < SILENCE_THRESHOLD) {
+                    this.isActive = false;
+                    return;
+                }
+            }
+
+            output[i] += filteredSample * this.outputGain * this.envelope;
+        }
+    }
+}
+
+/**
+ * Polyphonic Karplus-Strong processor. Notes are posted from the main thread
+ * with absolute context times and started on their exact sample frame.
+ */
+class KarplusStrongProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        this.voices = [];
+        for (let i = 0; i < MAX_VOICES; i++) {
+            this.voices.push(new GuitarVoice(sampleRate));
+        }
+        this.pendingNotes = []; // Sorted by start frame
+        this.port.onmessage = (event) => this.handleMessage(event.data);
+
+        // Offline renders pass their whole note list up front, so nothing
+        // depends on port messages arriving before rendering starts
+        const initialMessages = options && options.processorOptions && options.processorOptions.messages;
+        if (initialMessages) {
+            initialMessages.forEach(message => this.handleMessage(message));
+        }
+    }
+
+    handleMessage(message) {
+        switch (message.type) {
+            case 'noteOn': {
+                const note = {
+                    frame: Math.round(message.startTime * sampleRate),
+                    params: {
+                        ...message,
+                        stopFrame: Math.round(message.stopTime * sampleRate)
+                    }
+                };
+                // Insert keeping start order (notes usually arrive in order, so search from the end)
+                let index = this.pendingNotes.length;
+                while (index > 0 && this.pendingNotes[index - 1].frame > note.frame) {
+                    index--;
+                }
+                this.pendingNotes.splice(index, 0, note);
+                break;
+            }
+            case 'allNotesOff':
+                this.pendingNotes = [];
+                for (const voice of this.voices) {
+                    voice.isActive = false;
+                }
+                break;
+        }
+    }
+
+    startNote(note) {
+        const { params, frame } = note;
+
+        // Legato notes carry on the string's ringing voice when there is one
+        if (params.legato && params.stringIndex >= 0) {
+            const ringing = this.voices.find(v => v.isActive && v.stringIndex === params.stringIndex);
+            if (ringing) {
+                ringing.legato(params, frame);
+                return;
+            }
+        }
+
+        // A new pluck on a string cuts off whatever that string was still ringing
+        if (params.stringIndex >= 0) {
+            for (const voice of this.voices) {
+                if (voice.isActive && voice.stringIndex === params.stringIndex) {
+                    voice.releaseAt(frame);
+                }
+            }
+        }
+
+        let voice = this.voices.find(v => !v.isActive);
+        if (!voice) {
+            // Voice stealing: prefer the quietest releasing voice, then the oldest one
+            voice = this.voices.reduce((best, v) => {
+                if (v.isReleasing !== best.isReleasing) return v.isReleasing ? v : best;
+                if (v.isReleasing) return v.envelope < best.envelope ? v : best;
+                return v.startFrame < best.startFrame ? v : best;
+            });
+        }
+        voice.start(params, frame);
+    }
+
+    process(inputs, outputs) {
+        const output = outputs[0][0];
+        output.fill(0);
+
+        const blockStartFrame = currentFrame;
+        const blockLength = output.length;
+        let offset = 0;
+
+        // Render up to each note's start frame so every pluck is sample accurate
+        while (this.pendingNotes.length > 0 && this.pendingNotes[0].frame < blockStartFrame + blockLength) {
+            const note = this.pendingNotes.shift();
+            const noteOffset = Math.max(offset, note.frame - blockStartFrame);
+            this.renderVoices(output, offset, noteOffset, blockStartFrame);
+            offset = noteOffset;
+            this.startNote(note);
+        }
+        this.renderVoices(output, offset, blockLength, blockStartFrame);
+
+        return true;
+    }
+
+    renderVoices(output, from, to, blockStartFrame) {
+        if (from >= to) return;
+        for (const voice of this.voices) {
+            if (voice.isActive) {
+                voice.render(output, from, to, blockStartFrame);
+            }
+        }
+    }
+}
+
+registerProcessor('karplus-strong', KarplusStrongProcessor);
@@ -0,0 +1,236 @@
+/**
+ * Guitar Tab Web Player - MIDI Export
+ * Writes the loaded tab as a Type-1 Standard MIDI File with one track and
+ * channel per string, so string and fret survive a round trip through a DAW
+ */
+
+class MidiExporter {
+    /**
+     * Build a Type-1 Standard MIDI File from the sequencer's notes
+     * @param {TabSequencer} sequencer - Sequencer with tab data loaded
+     * @param {number[]} tuning - Open-string MIDI notes, index 0 = highest string
+     * @param {Object} options - Optional { title, tempo }
+     * @returns {Uint8Array} Bytes of the .mid file
+     */
+    static createMidiFile(sequencer, tuning, options = {}) {
+        // 16 channels less the drum channel
+        if (tuning.length > 15) {
+            throw new Error('MIDI export supports instruments with up to 15 strings');
+        }
+        const tempo = options.tempo || sequencer.tempo;
+        const notes = sequencer.collectNotes();
+        const endTick = MidiExporter.beatToTick(sequencer.totalBeats);
+
+        const tracks = [MidiExporter.createConductorTrack(sequencer, options.title || 'Guitar Tab', tempo, endTick)];
+        for (let string = 0; string < tuning.length; string++) {
+            const stringNotes = notes.filter(n => n.note.string === string);
+            tracks.push(MidiExporter.createStringTrack(stringNotes, string, tuning[string], endTick));
+        }
+
+        // Header: format 1, track count, ticks per quarter note
+        const header = [
+            0, 1,
+            (tracks.length >> 8) & 0xFF, tracks.length & 0xFF,
+            (MidiExporter.TICKS_PER_QUARTER >> 8) & 0xFF, MidiExporter.TICKS_PER_QUARTER & 0xFF
+        ];
+
+        const chunks = [MidiExporter.writeChunk('MThd', header), ...tracks.map(track => MidiExporter.writeChunk('MTrk', track))];
+        const bytes = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+        let offset = 0;
+        for (const chunk of chunks) {
+            bytes.set(chunk, offset);
+            offset += chunk.length;
+        }
+
+        console.log(`MIDI export: ${tracks.length} tracks, ${notes.length} notes, ${bytes.length} bytes`);
+        return bytes;
+    }
+
+    /**
+     * Track 0: title, tempo and a time signature event wherever the meter changes
+     */
+    static createConductorTrack(sequencer, title, tempo, endTick) {
+        const events = [];
+        events.push({ tick: 0, order: 0, data: MidiExporter.metaEvent(0x03, MidiExporter.encodeText(title)) });
+
+        const microsecondsPerQuarter = Math.round(60000000 / tempo);
+        events.push({
+            tick: 0,
+            order: 0,
+            data: MidiExporter.metaEvent(0x51, [
+                (microsecondsPerQuarter >> 16) & 0xFF,
+                (microsecondsPerQuarter >> 8) & 0xFF,
+                microsecondsPerQuarter & 0xFF
+            ])
+        });
+
+        let previousSignature = null;
+        sequencer.tabData.measures.forEach((measure, measureIndex) => {
+            const signature = measure.timeSignature || '4/4';
+            if (signature === previousSignature) return;
+            previousSignature = signature;
+
+            const [numerator, denominator] = signature.split('/').map(n => parseInt(n));
+            if (!numerator || !denominator) return;
+
+            // Denominator is stored as a power of two; 24 clocks per click, 8 thirty-seconds per quarter
+            events.push({
+                tick: MidiExporter.beatToTick(sequencer.getMeasureStartBeat(measureIndex)),
+                order: 0,
+                data: MidiExporter.metaEvent(0x58, [numerator, Math.round(Math.log2(denominator)), 24, 8])
+            });
+        });
+
+        return MidiExporter.encodeTrack(events, endTick);
+    }
+
+    /**
+     * One track per string on its own channel. Notes on a string are kept
+     * monophonic and bends are written as pitch-bend ramps over a 12 semitone range.
+     */
+    static createStringTrack(stringNotes, string, openMidiNote, endTick) {
+        const channel = MidiExporter.getStringChannel(string);
+        const events = [];
+
+        const name = `String ${string + 1} (${MidiExporter.getNoteName(openMidiNote)})`;
+        events.push({ tick: 0, order: 0, data: MidiExporter.metaEvent(0x03, MidiExporter.encodeText(name)) });
+        events.push({ tick: 0, order: 0, data: [0xC0 | channel, MidiExporter.GUITAR_PROGRAM] });
+
+        // RPN 0 (pitch-bend range) = 12 semitones, then null the RPN
+        const pitchBendRange = [[101, 0], [100, 0], [6, MidiExporter.PITCH_BEND_RANGE], [38, 0], [101, 127], [100, 127]];
+        for (const [controller, value] of pitchBendRange) {
+            events.push({ tick: 0, order: 0, data: [0xB0 | channel, controller, value] });
+        }
+
+        stringNotes.forEach((entry, index) => {
+            const note = entry.note;
+            const pitch = openMidiNote + note.fret;
+            if (pitch < 0 || pitch > 127) return;
+
+            const startTick = MidiExporter.beatToTick(entry.beatPosition);
+            let stopTick = MidiExporter.beatToTick(entry.beatPosition + entry.beatDuration);
+
+            // A new note on the same string cuts off the previous one
+            const next = stringNotes[index + 1];
+            if (next) {
+                stopTick = Math.min(stopTick, MidiExporter.beatToTick(next.beatPosition));
+            }
+            stopTick = Math.max(stopTick, startTick + 1);
+
+            const velocity = note.palmMute ? 80 : 100;
+            events.push({ tick: startTick, order: 2, data: [0x90 | channel, pitch, velocity] });
+            events.push({ tick: stopTick, order: 0, data: [0x80 | channel, pitch, 0] });
+
+            if (note.bend) {
+                // Same shape as playback: rise between 10% and 40% of the note
+                const length = stopTick - startTick;
+                for (let step = 0; step <= MidiExporter.BEND_STEPS; step++) {
+                    const progress = step / MidiExporter.BEND_STEPS;
+                    const tick = startTick + Math.round(length * (0.1 + 0.3 * progress));
+                    events.push({ tick, order: 1, data: MidiExporter.pitchBendEvent(channel, note.bend * progress) });
+                }
+                events.push({ tick: stopTick, order: 1, data: MidiExporter.pitchBendEvent(channel, 0) });
+            }
+        });
+
+        return MidiExporter.encodeTrack(events, endTick);
+    }
+
+    /**
+     * Encode events as delta-timed track data ending with End of Track.
+     * At equal ticks note-offs come first, then controllers, then note-ons.
+     */
+    static encodeTrack(events, endTick) {
+        events.sort((a, b) => a.tick - b.tick || a.order - b.order);
+
+        // Appended byte by byte: spreading a long track into push() overflows the stack
+        const bytes = [];
+        const append = (data) => {
+            for (const byte of data) {
+                bytes.push(byte);
+            }
+        };
+        let lastTick = 0;
+        for (const event of events) {
+            append(MidiExporter.writeVariableLength(event.tick - lastTick));
+            append(event.data);
+            lastTick = event.tick;
+        }
+
+        bytes.push(...MidiExporter.writeVariableLength(Math.max(0, endTick - lastTick)), 0xFF, 0x2F, 0x00);
+        return bytes;
+    }
+
+    /**
+     * Map a string to a channel, skipping channel 10 (index 9) which GM reserves for drums
+     */
+    static getStringChannel(string) {
+        return string < 9 ? string : string + 1;
+    }
+
+    static pitchBendEvent(channel, semitones) {
+        const value = Math.max(0, Math.min(16383, Math.round(8192 + (semitones / MidiExporter.PITCH_BEND_RANGE) * 8191)));
+        return [0xE0 | channel, value & 0x7F, (value >> 7) & 0x7F];
+    }
+
+    static metaEvent(type, data) {
+        return [0xFF, type, ...MidiExporter.writeVariableLength(data.length), ...data];
+    }
+
+    /**
+     * @returns {Uint8Array} Chunk type, big-endian length and data
+     */
+    static writeChunk(type, data) {
+        const length = data.length;
+        const chunk = new Uint8Array(8 + length);
+        chunk.set(MidiExporter.encodeText(type));
+        chunk.set([(length >>> 24) & 0xFF, (length >>> 16) & 0xFF, (length >>> 8) & 0xFF, length & 0xFF], 4);
+        chunk.set(data, 8);
+        return chunk;
+    }
+
+    /**
+     * MIDI variable-length quantity: 7 bits per byte, most significant first
+     */
+    static writeVariableLength(value) {
+        const bytes = [value & 0x7F];
+        value >>>= 7;
+        while (value > 0) {
+            bytes.unshift((value & 0x7F) | 0x80);
+            value >>>= 7;
+        }
+        return bytes;
+    }
+
+    static encodeText(text) {
+        return Array.from(new TextEncoder().encode(text));
+    }
+
+    static beatToTick(beat) {
+        return Math.round(beat * MidiExporter.TICKS_PER_QUARTER);
+    }
+
+    static getNoteName(midiNote) {
+        return MidiExporter.NOTE_NAMES[midiNote % 12] + (Math.floor(midiNote / 12) - 1);
+    }
+
+    /**
+     * Offer bytes to the user as a file download
+     */
+    static download(bytes, filename, mimeType = 'audio/midi') {
+        const url = URL.createObjectURL(new Blob([bytes], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
+
+MidiExporter.TICKS_PER_QUARTER = 480;
+MidiExporter.GUITAR_PROGRAM = 25; // GM Acoustic Guitar (steel), zero-based
+MidiExporter.PITCH_BEND_RANGE = 12; // Semitones, so bends up to two whole steps fit
+MidiExporter.BEND_STEPS = 8;
+MidiExporter.NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
@@ -0,0 +1,302 @@
+/**
+ * Guitar Tab Web Player - MusicXML Import
+ * Reads the tablature staff of a MusicXML (score-partwise) file into v2 tab data
+ */
+
+class MusicXmlImporter {
+    /**
+     * Check whether text is an uncompressed MusicXML score
+     * @param {string} text
+     * @returns {boolean}
+     */
+    static looksLikeMusicXml(text) {
+        return /^\s*(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*|<!DOCTYPE[^>]*>\s*)*<score-partwise\b/.test(text);
+    }
+
+    /**
+     * Parse a MusicXML document into version 2 tab data
+     * @param {string} text - MusicXML source
+     * @returns {Object} Tab data with title, tempo, instrumentConfig, measures and tripletRegions
+     */
+    static parse(text) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        if (doc.querySelector('parsererror')) {
+            throw new Error('The file is not well-formed XML');
+        }
+
+        const score = doc.documentElement;
+        if (score.nodeName === 'score-timewise') {
+            throw new Error('Timewise MusicXML is not supported, please export a partwise score');
+        }
+        if (score.nodeName !== 'score-partwise') {
+            throw new Error('The file is not a MusicXML score');
+        }
+
+        const part = this.findTabPart(score);
+        if (!part) {
+            throw new Error('The score has no tablature (no notes with <string> and <fret>)');
+        }
+
+        const partName = this.getPartName(score, part.getAttribute('id'));
+        const tuning = this.readTuning(part);
+        const { measures, tempo } = this.readMeasures(part, tuning.length);
+
+        const tabData = {
+            version: 2,
+            title: this.getText(score, 'work > work-title') || this.getText(score, 'movement-title') || partName || 'MusicXML Import',
+            instrumentConfig: {
+                name: partName || (tuning.length === 6 ? 'Guitar' : `${tuning.length}-string instrument`),
+                strings: tuning
+            },
+            measures
+        };
+        if (tempo) {
+            tabData.tempo = Math.round(tempo);
+        }
+
+        console.log(`MusicXML import: "${tabData.title}", ${measures.length} measures, ${tuning.length} strings`);
+        return tabData;
+    }
+
+    /**
+     * First part with fretted notes
+     */
+    static findTabPart(score) {
+        for (const part of score.querySelectorAll(':scope > part')) {
+            if (part.querySelector('note technical > fret')) {
+                return part;
+            }
+        }
+        return null;
+    }
+
+    static getPartName(score, partId) {
+        for (const scorePart of score.querySelectorAll('part-list > score-part')) {
+            if (scorePart.getAttribute('id') === partId) {
+                return this.getText(scorePart, 'part-name');
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Tuning from <staff-tuning> (line 1 is the lowest string), ordered with the
+     * highest string first like the tab. Falls back to standard tuning sized to
+     * the highest <string> number used.
+     */
+    static readTuning(part) {
+        const details = part.querySelector('attributes staff-details');
+        const names = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+        const steps = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+        if (details && details.querySelector('staff-tuning')) {
+            const lineCount = parseInt(this.getText(details, 'staff-lines')) || details.querySelectorAll('staff-tuning').length;
+            const tuning = new Array(lineCount).fill(null);
+            for (const staffTuning of details.querySelectorAll('staff-tuning')) {
+                const line = parseInt(staffTuning.getAttribute('line'));
+                const step = this.getText(staffTuning, 'tuning-step');
+                const octave = parseInt(this.getText(staffTuning, 'tuning-octave'));
+                if (!line || line > lineCount || steps[step] === undefined || isNaN(octave)) continue;
+
+                const alter = Math.round(parseFloat(this.getText(staffTuning, 'tuning-alter')) || 0);
+                const midiNote = (octave + 1) * 12 + steps[step] + alter;
+                tuning[lineCount - line] = { name: names[((midiNote % 12) + 12) % 12], midiNote };
+            }
+
+            if (tuning.every(string => string)) {
+                return tuning;
+            }
+            console.warn('Incomplete <staff-tuning>, using standard tuning');
+        }
+
+        let stringCount = 6;
+        for (const string of part.querySelectorAll('note technical > string')) {
+            stringCount = Math.max(stringCount, parseInt(string.textContent) || 0);
+        }
+        const standard = [64, 59, 55, 50, 45, 40];
+        return Array.from({ length: stringCount }, (_, i) => {
+            const midiNote = i < standard.length ? standard[i] : standard[standard.length - 1] - 5 * (i - standard.length + 1);
+            return { name: names[midiNote % 12], midiNote };
+        });
+    }
+
+    /**
+     * Walk the measures keeping a position cursor in divisions (<backup> and
+     * <forward> move it, <chord/> notes share the previous note's start)
+     */
+    static readMeasures(part, stringCount) {
+        const measures = [];
+        let divisions = 1;
+        let timeSignature = '4/4';
+        let keySignature = 0;
+        let tempo = null;
+        const lastNoteByString = []; // For ties across notes and measures
+        const pendingTechniques = []; // Legato started on a string, applied to its next note
+
+        for (const measureElement of part.querySelectorAll(':scope > measure')) {
+            const measure = { timeSignature, keySignature, notes: [] };
+            const tripletRegions = [];
+            let openTuplet = null;
+            let cursor = 0;
+            let previousStart = 0;
+
+            for (const element of measureElement.children) {
+                switch (element.nodeName) {
+                    case 'attributes': {
+                        const newDivisions = parseInt(this.getText(element, 'divisions'));
+                        if (newDivisions > 0) {
+                            divisions = newDivisions;
+                        }
+                        const beats = this.getText(element, 'time > beats');
+                        const beatType = this.getText(element, 'time > beat-type');
+                        if (beats && beatType && /^\d+$/.test(beats)) {
+                            timeSignature = `${beats}/${beatType}`;
+                            measure.timeSignature = timeSignature;
+                        }
+                        const fifths = parseInt(this.getText(element, 'key > fifths'));
+                        if (Number.isInteger(fifths) && Math.abs(fifths) <= 7) {
+                            keySignature = fifths;
+                            measure.keySignature = keySignature;
+                        }
+                        break;
+                    }
+                    case 'backup':
+                        cursor = Math.max(0, cursor - (parseFloat(this.getText(element, 'duration')) || 0));
+                        break;
+                    case 'forward':
+                        cursor += parseFloat(this.getText(element, 'duration')) || 0;
+                        break;
+                    case 'direction':
+                    case 'sound': {
+                        const sound = element.nodeName === 'sound' ? element : element.querySelector('sound[tempo]');
+                        const perMinute = this.getText(element, 'metronome > per-minute');
+                        const value = sound && sound.getAttribute('tempo') ? parseFloat(sound.getAttribute('tempo')) : parseFloat(perMinute);
+                        if (!tempo && value > 0) {
+                            tempo = value;
+                        }
+                        break;
+                    }
+                    case 'note': {
+                        if (element.querySelector('grace')) break; // Grace notes take no time
+
+                        const duration = parseFloat(this.getText(element, 'duration')) || 0;
+                        const isChord = !!element.querySelector(':scope > chord');
+                        const start = isChord ? previousStart : cursor;
+                        if (!isChord) {
+                            previousStart = cursor;
+                            cursor += duration;
+                        }
+
+                        const beatPosition = start / divisions;
+                        const beatDuration = duration / divisions;
+
+                        // Triplet brackets from <tuplet> start/stop (3 in the time of 2)
+                        const tuplet = element.querySelector('notations > tuplet');
+                        const actualNotes = parseInt(this.getText(element, 'time-modification > actual-notes'));
+                        if (tuplet && actualNotes === 3) {
+                            if (tuplet.getAttribute('type') === 'start') {
+                                openTuplet = { startBeat: beatPosition, string: this.getNoteString(element) };
+                            } else if (tuplet.getAttribute('type') === 'stop' && openTuplet) {
+                                tripletRegions.push({
+                                    stringIndex: Math.max(0, Math.min(stringCount - 1, (openTuplet.string || 1) - 1)),
+                                    region: { startBeat: openTuplet.startBeat, endBeat: beatPosition + beatDuration }
+                                });
+                                openTuplet = null;
+                            }
+                        }
+
+                        const string = this.getNoteString(element);
+                        const fret = parseInt(this.getText(element, 'technical > fret'));
+                        if (element.querySelector(':scope > rest') || !string || isNaN(fret) || string > stringCount) break;
+                        const stringIndex = string - 1; // MusicXML string 1 is the highest, like the tab's top line
+
+                        // A tied continuation extends the note it is tied from
+                        const previous = lastNoteByString[stringIndex];
+                        const isTieStop = [...element.querySelectorAll(':scope > tie, notations > tied')].some(tie => tie.getAttribute('type') === 'stop');
+                        if (isTieStop && previous && previous.note.fret === fret) {
+                            previous.note.beatDuration = previous.measureIndex === measures.length
+                                ? beatPosition + beatDuration - previous.note.beatPosition
+                                : previous.note.beatDuration + beatDuration;
+                            break;
+                        }
+
+                        // Scores with a notation staff and a tab staff in one part can carry each note twice
+                        if (measure.notes.some(n => n.string === stringIndex && Math.abs(n.beatPosition - beatPosition) < 1e-6)) break;
+
+                        const note = { string: stringIndex, fret, beatPosition, beatDuration };
+                        this.readTechniques(element, note, stringIndex, pendingTechniques);
+                        measure.notes.push(note);
+                        lastNoteByString[stringIndex] = { note, measureIndex: measures.length };
+                        break;
+                    }
+                }
+            }
+
+            if (measure.timeSignature === '4/4') {
+                delete measure.timeSignature;
+            }
+            if (measure.keySignature === 0) {
+                delete measure.keySignature;
+            }
+            if (tripletRegions.length > 0) {
+                measure.tripletRegions = tripletRegions;
+            }
+            measure.notes.sort((a, b) => a.beatPosition - b.beatPosition || a.string - b.string);
+            measures.push(measure);
+        }
+
+        return { measures, tempo };
+    }
+
+    /**
+     * Techniques on a note. Hammer-ons, pull-offs and slides are written as
+     * start/stop pairs; the tab format marks the destination note.
+     */
+    static readTechniques(element, note, stringIndex, pendingTechniques) {
+        const pending = pendingTechniques[stringIndex];
+        const stops = (selector) => [...element.querySelectorAll(selector)].some(e => e.getAttribute('type') === 'stop');
+        const starts = (selector) => [...element.querySelectorAll(selector)].some(e => e.getAttribute('type') === 'start');
+
+        if (stops('technical > hammer-on') || pending === 'hammerOn') {
+            note.hammerOn = true;
+        } else if (stops('technical > pull-off') || pending === 'pullOff') {
+            note.pullOff = true;
+        } else if (stops('notations > slide') || stops('notations > glissando') || pending === 'slide') {
+            note.slide = true;
+        }
+        pendingTechniques[stringIndex] = null;
+
+        // Some exporters only write the start element; remember it for the next note on the string
+        if (starts('technical > hammer-on')) {
+            pendingTechniques[stringIndex] = 'hammerOn';
+        } else if (starts('technical > pull-off')) {
+            pendingTechniques[stringIndex] = 'pullOff';
+        } else if (starts('notations > slide') || starts('notations > glissando')) {
+            pendingTechniques[stringIndex] = 'slide';
+        }
+
+        const bendAlter = parseFloat(this.getText(element, 'technical > bend > bend-alter'));
+        if (bendAlter > 0) {
+            note.bend = Math.min(4, bendAlter);
+        }
+
+        const wavyLine = element.querySelector('ornaments > wavy-line');
+        if (wavyLine && wavyLine.getAttribute('type') !== 'stop') {
+            note.vibrato = true;
+        }
+
+        const otherTechnical = this.getText(element, 'technical > other-technical') || '';
+        if (/^\s*(p\.?\s*m\.?|palm mute)\s*$/i.test(otherTechnical)) {
+            note.palmMute = true;
+        }
+    }
+
+    static getNoteString(element) {
+        return parseInt(this.getText(element, 'technical > string')) || null;
+    }
+
+    static getText(element, selector) {
+        const found = element.querySelector(selector);
+        return found ? found.textContent.trim() : null;
+    }
+}
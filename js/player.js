@@ -14,6 +14,20 @@ class GuitarTabPlayer {
         this.loopStartMeasure = 1;
         this.loopEndMeasure = 8;
         this.selectedMeasures = new Set(); // For visual selection
+        this.fileTracks = null; // Tab data per track when a multi-track file is open
+        this.tabSourceUrl = null; // Share link the current tab came from
+        this.libraryEntryId = null; // Library entry the current tab was opened from or saved as
+        this.libraryRefreshCount = 0; // Identifies the latest library listing, so older searches are dropped
+        this.layout = null; // TabLayout for the current tab, container width and zoom
+        this.layoutWidth = 0; // Container width the layout was computed for
+        this.zoom = 1;
+        this.showNotation = false; // Standard notation staff above the tab
+        this.pixelRatio = 1; // Device pixels per CSS pixel of the canvas backing store
+        this.overlayDirtyRects = []; // Overlay areas drawn last frame, cleared before the next
+        this.notesByBeat = []; // Sounding notes sorted by global beat, for finding active notes
+        this.maxNoteDuration = 0;
+        this.carriedBeats = []; // Beats each measure opens with still sounding from a note held over its barline
+        this.library = new TabLibrary();
         
         // Setup mobile debugging first
         this.setupMobileDebug();
@@ -26,9 +40,22 @@ class GuitarTabPlayer {
         this.setupEventListeners();
         this.setupAudioCallbacks();
         this.setupMobileAudio();
+        this.registerServiceWorker();
         this.loadTabData();
     }
 
+    /**
+     * Cache the player for offline use (not possible from file:// pages)
+     */
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator) || !/^https?:$/.test(window.location.protocol)) {
+            return;
+        }
+        navigator.serviceWorker.register('sw.js')
+            .then(registration => console.log('Service worker registered, scope:', registration.scope))
+            .catch(error => console.warn('Service worker registration failed:', error));
+    }
+
     setupMobileDebug() {
         const isMobile = /Android|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
         
@@ -111,15 +138,50 @@ class GuitarTabPlayer {
         this.loopStartInput = document.getElementById('loop-start');
         this.loopEndInput = document.getElementById('loop-end');
         this.selectAllBtn = document.getElementById('select-all-btn');
+        this.trainerEnabledInput = document.getElementById('trainer-enabled');
+        this.trainerStartInput = document.getElementById('trainer-start');
+        this.trainerStepInput = document.getElementById('trainer-step');
+        this.trainerEveryInput = document.getElementById('trainer-every');
+        this.trainerTargetInput = document.getElementById('trainer-target');
         
         this.tempoValue = document.getElementById('tempo-value');
         this.currentTempoSpan = document.getElementById('current-tempo');
         this.tempoUpBtn = document.getElementById('tempo-up');
         this.tempoDownBtn = document.getElementById('tempo-down');
+        this.voiceSelect = document.getElementById('voice-select');
+        this.metronomeBtn = document.getElementById('metronome-btn');
+        this.metronomeSubdivisionSelect = document.getElementById('metronome-subdivision');
+        this.countInSelect = document.getElementById('count-in-select');
+        this.trackControls = document.getElementById('track-controls');
+        this.trackSelect = document.getElementById('track-select');
+        this.exportMidiBtn = document.getElementById('export-midi-btn');
+        this.exportAudioBtn = document.getElementById('export-audio-btn');
+        this.copyAsciiBtn = document.getElementById('copy-ascii-btn');
+        this.shareLinkBtn = document.getElementById('share-link-btn');
+        this.fileInput = document.getElementById('file-input');
+        this.dropZone = document.getElementById('drop-zone');
+        this.asciiImportPanel = document.getElementById('ascii-import');
+        this.asciiImportText = document.getElementById('ascii-import-text');
+        this.asciiImportBtn = document.getElementById('ascii-import-btn');
+        this.libraryPanel = document.getElementById('tab-library');
+        this.librarySaveBtn = document.getElementById('library-save-btn');
+        this.librarySearch = document.getElementById('library-search');
+        this.libraryList = document.getElementById('library-list');
+        this.libraryEmpty = document.getElementById('library-empty');
         this.progressBar = document.getElementById('progress-bar');
+        this.progressBarContainer = document.getElementById('progress-bar-container');
+        this.progressScrubber = document.getElementById('progress-scrubber');
+        this.tabDisplay = document.getElementById('tab-display');
         this.tabCanvas = document.getElementById('tab-canvas');
+        this.overlayCanvas = document.getElementById('tab-overlay');
+        this.zoomOutBtn = document.getElementById('zoom-out');
+        this.zoomInBtn = document.getElementById('zoom-in');
+        this.zoomValue = document.getElementById('zoom-value');
+        this.notationBtn = document.getElementById('notation-btn');
         this.loadingMessage = document.getElementById('loading-message');
         this.errorMessage = document.getElementById('error-message');
+        this.errorTitle = document.getElementById('error-title');
+        this.validationIssues = document.getElementById('validation-issues');
         this.compositionTitle = document.getElementById('composition-title');
     }
 
@@ -131,18 +193,126 @@ class GuitarTabPlayer {
         this.loopStartInput.addEventListener('change', () => this.updateLoopRange());
         this.loopEndInput.addEventListener('change', () => this.updateLoopRange());
         this.selectAllBtn.addEventListener('click', () => this.selectAllMeasures());
+        for (const input of [this.trainerEnabledInput, this.trainerStartInput, this.trainerStepInput, this.trainerEveryInput, this.trainerTargetInput]) {
+            input.addEventListener('change', () => this.updateSpeedTrainer());
+        }
         this.tempoUpBtn.addEventListener('click', () => this.adjustTempo(5));
         this.tempoDownBtn.addEventListener('click', () => this.adjustTempo(-5));
+        this.voiceSelect.addEventListener('change', () => this.audioEngine.setVoiceType(this.voiceSelect.value));
+        this.metronomeBtn.addEventListener('click', () => this.toggleMetronome());
+        this.metronomeSubdivisionSelect.addEventListener('change', () => {
+            this.sequencer.setMetronomeSubdivision(parseInt(this.metronomeSubdivisionSelect.value));
+        });
+        this.countInSelect.addEventListener('change', () => this.sequencer.setCountIn(parseInt(this.countInSelect.value)));
+        this.trackSelect.addEventListener('change', () => {
+            const track = this.fileTracks[parseInt(this.trackSelect.value)];
+            this.replaceTabData(JSON.parse(JSON.stringify(track)), `Track "${track.instrumentConfig.name}" could not be loaded.`);
+        });
+        this.exportMidiBtn.addEventListener('click', () => this.exportMidi());
+        this.exportAudioBtn.addEventListener('click', () => this.exportAudio());
+        this.copyAsciiBtn.addEventListener('click', () => this.copyAsciiTab());
+        this.shareLinkBtn.addEventListener('click', () => this.copyShareLink());
+        this.fileInput.addEventListener('change', () => {
+            if (this.fileInput.files.length > 0) {
+                this.loadTabFromFile(this.fileInput.files[0]);
+            }
+            this.fileInput.value = ''; // Allow picking the same file again
+        });
+        this.setupFileDrop();
+        this.asciiImportBtn.addEventListener('click', () => this.loadTabFromText(this.asciiImportText.value));
+        this.librarySaveBtn.addEventListener('click', () => this.saveToLibrary());
+        this.librarySearch.addEventListener('input', () => this.refreshLibrary());
+        this.libraryPanel.addEventListener('toggle', () => {
+            if (this.libraryPanel.open) {
+                this.refreshLibrary();
+            }
+        });
         
-        // Add click listener to canvas for measure selection
+        // Add click listener to canvas for seeking and measure selection
         this.tabCanvas.addEventListener('click', (e) => this.handleCanvasClick(e));
+        this.zoomOutBtn.addEventListener('click', () => this.adjustZoom(-GuitarTabPlayer.ZOOM_STEP));
+        this.zoomInBtn.addEventListener('click', () => this.adjustZoom(GuitarTabPlayer.ZOOM_STEP));
+        this.notationBtn.addEventListener('click', () => this.toggleNotation());
+        
+        this.setupProgressScrubbing();
+        this.setupLayoutReflow();
+    }
+
+    /**
+     * Make the progress bar a draggable scrubber: the position previews while
+     * dragging and playback seeks when the pointer is released
+     */
+    setupProgressScrubbing() {
+        const container = this.progressBarContainer;
+        this.isScrubbing = false;
+        
+        const beatFromEvent = (event) => {
+            const rect = container.getBoundingClientRect();
+            const fraction = Math.max(0, Math.min(1, (event.clientX - rect.left) / rect.width));
+            // Snap to whole beats, keeping the last beat inside the song
+            return Math.min(Math.round(fraction * this.sequencer.totalBeats), Math.ceil(this.sequencer.totalBeats) - 1);
+        };
+        
+        container.addEventListener('pointerdown', (event) => {
+            if (!this.tabData) return;
+            this.isScrubbing = true;
+            container.classList.add('scrubbing');
+            container.setPointerCapture(event.pointerId);
+            this.previewSeek(beatFromEvent(event));
+        });
+        
+        container.addEventListener('pointermove', (event) => {
+            if (this.isScrubbing) {
+                this.previewSeek(beatFromEvent(event));
+            }
+        });
+        
+        const endScrub = (event, commit) => {
+            if (!this.isScrubbing) return;
+            this.isScrubbing = false;
+            container.classList.remove('scrubbing');
+            if (commit) {
+                this.seekToBeat(beatFromEvent(event));
+            }
+        };
+        container.addEventListener('pointerup', (event) => endScrub(event, true));
+        container.addEventListener('pointercancel', (event) => endScrub(event, false));
+    }
+
+    /**
+     * Show a position while scrubbing without moving the audio
+     */
+    previewSeek(beat) {
+        this.currentBeat = beat;
+        this.updateProgressBar(beat / this.sequencer.totalBeats);
+        this.renderTabWithPlayback();
+        this.autoScrollToPlayback();
+    }
+
+    /**
+     * Move playback to a beat and show the cursor there
+     */
+    seekToBeat(beat) {
+        if (!this.tabData) return;
+        
+        this.sequencer.seek(beat);
+        this.currentBeat = this.sequencer.currentBeat;
+        
+        if (!this.isPlaying) {
+            // Not playing, so no progress updates will redraw the cursor
+            this.renderTabWithPlayback();
+            this.autoScrollToPlayback();
+        }
     }
 
     setupAudioCallbacks() {
         // Set up sequencer callbacks for progress and completion
         this.sequencer.setProgressCallback((progress) => {
+            // Dragging the scrubber owns the displayed position
+            if (this.isScrubbing) return;
+            
             this.currentPosition = Math.min(progress, 1.0); // Cap at 1.0
-            this.currentBeat = this.currentPosition * (this.tabData ? this.tabData.measures.length * 4 : 32);
+            this.currentBeat = this.currentPosition * (this.tabData ? this.sequencer.totalBeats : 32);
             this.updateProgressBar(this.currentPosition);
             
             if (this.currentPosition < 1.0) {
@@ -153,6 +323,16 @@ class GuitarTabPlayer {
         this.sequencer.setCompleteCallback(() => {
             this.onPlaybackComplete();
         });
+        
+        // The speed trainer changes the playing tempo between loop repetitions
+        this.sequencer.setTempoChangeCallback((tempo) => {
+            this.tempoValue.textContent = tempo;
+        });
+        
+        // Without AudioWorklet the engine falls back to the additive voice
+        this.audioEngine.setVoiceChangeCallback((voiceType) => {
+            this.voiceSelect.value = voiceType;
+        });
     }
 
     setupMobileAudio() {
@@ -200,13 +380,22 @@ class GuitarTabPlayer {
             // Check if we have URL data
             const urlData = await TabDataDecoder.decodeFromURL();
             
-            if (urlData && TabDataDecoder.validateTabData(urlData)) {
+            if (!urlData) {
+                // No tab data found in URL
+                this.showError('No valid tab data found. Please check your share link, or open a tab file or a tab from your library.');
+                this.libraryPanel.open = true;
+                return;
+            }
+            
+            const report = TabDataDecoder.validateTabData(urlData);
+            if (report.valid) {
                 this.tabData = urlData;
+                this.tabSourceUrl = window.location.href;
                 this.setupFromTabData();
                 this.hideLoading();
+                this.showValidationWarnings(report);
             } else {
-                // No valid tab data found in URL
-                this.showError('No valid tab data found. Please check your share link.');
+                this.showError('The shared tab data is invalid. Please check your share link.', report);
             }
             
         } catch (error) {
@@ -215,6 +404,307 @@ class GuitarTabPlayer {
         }
     }
 
+    /**
+     * Load a tab from a local file (picked or dropped), replacing the current one
+     */
+    async loadTabFromFile(file) {
+        try {
+            const fileData = await TabDataDecoder.decodeFromFile(file);
+            const tracks = fileData.tracks || [fileData];
+            
+            for (const track of tracks) {
+                if (!track.title) {
+                    track.title = file.name.replace(/\.[^.]*$/, '');
+                }
+            }
+            
+            // Load copies: the player adds fields to the tab data it loads
+            if (this.replaceTabData(JSON.parse(JSON.stringify(tracks[0])), `"${file.name}" is not a valid tab file.`)) {
+                this.showTrackPicker(fileData.tracks || null);
+            }
+            
+        } catch (error) {
+            console.error('Failed to load tab file:', error);
+            this.showError(`Failed to load "${file.name}": ${error.message}`);
+        }
+    }
+
+    /**
+     * Load a pasted ASCII tab, replacing the current one
+     */
+    loadTabFromText(text) {
+        try {
+            const tabData = AsciiTabImporter.parse(text);
+            if (this.replaceTabData(tabData, 'The pasted text could not be read as a tab.')) {
+                this.asciiImportPanel.open = false;
+                this.showTrackPicker(null);
+            }
+        } catch (error) {
+            console.error('Failed to import ASCII tab:', error);
+            this.showError('Failed to import the pasted tab: ' + error.message);
+        }
+    }
+
+    /**
+     * Validate new tab data and, if it is playable, stop playback and show it
+     * @returns {boolean} Whether the tab was loaded
+     */
+    replaceTabData(tabData, invalidMessage) {
+        const report = TabDataDecoder.validateTabData(tabData);
+        if (!report.valid) {
+            this.showError(invalidMessage, report);
+            return false;
+        }
+        
+        if (this.tabData) {
+            this.stop();
+        }
+        
+        this.tabData = tabData;
+        this.tabSourceUrl = null;
+        this.libraryEntryId = null;
+        this.selectedMeasures.clear();
+        this.loopStartMeasure = 1;
+        this.loopStartInput.value = 1;
+        this.errorMessage.style.display = 'none';
+        this.setupFromTabData();
+        this.hideLoading();
+        this.showValidationWarnings(report);
+        return true;
+    }
+
+    /**
+     * Save the current tab to the library. Saving again updates the same entry,
+     * as does saving a share link that is already in the library.
+     */
+    async saveToLibrary() {
+        if (!this.tabData) return;
+        
+        let saved = false;
+        try {
+            const snapshot = this.getTabSnapshot();
+            let entry = this.libraryEntryId ? await this.library.update(this.libraryEntryId, { tabData: snapshot }) : null;
+            if (!entry) {
+                entry = await this.library.save(snapshot, { sourceUrl: this.tabSourceUrl });
+            }
+            this.libraryEntryId = entry.id;
+            saved = true;
+            console.log('Saved tab to library:', entry.name);
+        } catch (error) {
+            console.error('Failed to save tab to library:', error);
+        }
+        
+        this.librarySaveBtn.textContent = saved ? 'Saved!' : 'Save failed';
+        clearTimeout(this.librarySaveTimer);
+        this.librarySaveTimer = setTimeout(() => {
+            this.librarySaveBtn.textContent = 'Save Current Tab';
+        }, 1500);
+        this.refreshLibrary();
+    }
+
+    /**
+     * Copy of the current tab data without the fields the player adds while loading
+     */
+    getTabSnapshot() {
+        const snapshot = JSON.parse(JSON.stringify(this.tabData));
+        delete snapshot.tripletRegions; // Per-measure lookup built by addGlobalBeatPositions
+        for (const measure of snapshot.measures) {
+            for (const note of measure.notes || []) {
+                delete note.globalBeatPosition;
+            }
+        }
+        return snapshot;
+    }
+
+    /**
+     * List the library entries matching the search box
+     */
+    async refreshLibrary() {
+        const refresh = ++this.libraryRefreshCount;
+        let entries;
+        try {
+            entries = await this.library.search(this.librarySearch.value);
+        } catch (error) {
+            if (refresh !== this.libraryRefreshCount) return;
+            console.error('Failed to read the tab library:', error);
+            this.libraryList.innerHTML = '';
+            this.libraryEmpty.textContent = 'The library is not available in this browser.';
+            this.libraryEmpty.style.display = '';
+            return;
+        }
+        
+        // A later search (typed while this one ran) has the current results
+        if (refresh !== this.libraryRefreshCount) return;
+        
+        this.libraryList.innerHTML = '';
+        for (const entry of entries) {
+            this.libraryList.appendChild(this.renderLibraryEntry(entry));
+        }
+        this.libraryEmpty.textContent = this.librarySearch.value.trim() ? 'No saved tabs match the search.' : 'No saved tabs yet.';
+        this.libraryEmpty.style.display = entries.length > 0 ? 'none' : '';
+    }
+
+    /**
+     * One library row: editable name and tags, then Open and Delete buttons
+     */
+    renderLibraryEntry(entry) {
+        const item = document.createElement('li');
+        if (entry.id === this.libraryEntryId) {
+            item.className = 'current';
+        }
+        
+        const details = document.createElement('div');
+        details.className = 'library-details';
+        
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.className = 'library-name';
+        nameInput.value = entry.name;
+        nameInput.setAttribute('aria-label', 'Name');
+        nameInput.addEventListener('change', () => {
+            this.changeLibraryEntry(this.library.rename(entry.id, nameInput.value), 'rename the saved tab');
+        });
+        
+        const tagsInput = document.createElement('input');
+        tagsInput.type = 'text';
+        tagsInput.className = 'library-tags';
+        tagsInput.value = entry.tags.join(', ');
+        tagsInput.placeholder = 'Tags, separated by commas';
+        tagsInput.setAttribute('aria-label', 'Tags');
+        tagsInput.addEventListener('change', () => {
+            this.changeLibraryEntry(this.library.setTags(entry.id, tagsInput.value), 'change the tags');
+        });
+        
+        const info = document.createElement('span');
+        info.className = 'library-info';
+        const measureCount = entry.tabData.measures.length;
+        info.textContent = `${measureCount} measure${measureCount === 1 ? '' : 's'}, saved ${new Date(entry.savedAt).toLocaleDateString()}`;
+        
+        details.append(nameInput, tagsInput, info);
+        
+        const openBtn = document.createElement('button');
+        openBtn.className = 'control-btn';
+        openBtn.textContent = 'Open';
+        openBtn.addEventListener('click', () => this.openFromLibrary(entry.id));
+        
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'control-btn';
+        deleteBtn.textContent = 'Delete';
+        deleteBtn.addEventListener('click', async () => {
+            if (!confirm(`Delete "${entry.name}" from the library?`)) return;
+            const deleted = await this.changeLibraryEntry(this.library.remove(entry.id), 'delete the saved tab');
+            if (deleted && this.libraryEntryId === entry.id) {
+                this.libraryEntryId = null;
+            }
+        });
+        
+        item.append(details, openBtn, deleteBtn);
+        return item;
+    }
+
+    /**
+     * Wait for a library change, report a failure (storage full or blocked), and
+     * relist the library so it shows what was actually stored
+     * @param {Promise} change - The library operation
+     * @param {string} action - What was attempted, for the error message
+     * @returns {Promise<boolean>} Whether the change was stored
+     */
+    async changeLibraryEntry(change, action) {
+        let changed = false;
+        try {
+            await change;
+            changed = true;
+        } catch (error) {
+            console.error(`Failed to ${action}:`, error);
+            alert(`Failed to ${action}: ${error.message}`);
+        }
+        this.refreshLibrary();
+        return changed;
+    }
+
+    /**
+     * Load a saved tab, replacing the current one
+     */
+    async openFromLibrary(id) {
+        try {
+            const entry = await this.library.get(id);
+            if (!entry) {
+                this.refreshLibrary();
+                return;
+            }
+            
+            if (this.replaceTabData(JSON.parse(JSON.stringify(entry.tabData)), `"${entry.name}" could not be loaded.`)) {
+                this.showTrackPicker(null);
+                this.tabSourceUrl = entry.sourceUrl || null;
+                this.libraryEntryId = entry.id;
+                this.refreshLibrary();
+            }
+        } catch (error) {
+            console.error('Failed to open tab from library:', error);
+            this.showError('Failed to open the saved tab: ' + error.message);
+        }
+    }
+
+    /**
+     * List the tracks of a multi-track file so another one can be loaded;
+     * hidden for single-track tabs
+     * @param {Object[]|null} tracks - Tab data per track, the first one loaded
+     */
+    showTrackPicker(tracks) {
+        this.fileTracks = tracks;
+        this.trackSelect.innerHTML = '';
+        
+        if (!tracks || tracks.length < 2) {
+            this.trackControls.style.display = 'none';
+            return;
+        }
+        
+        tracks.forEach((track, i) => {
+            const option = document.createElement('option');
+            option.value = i;
+            option.textContent = `${i + 1}. ${track.instrumentConfig.name}`;
+            this.trackSelect.appendChild(option);
+        });
+        this.trackControls.style.display = '';
+    }
+
+    /**
+     * Accept tab files dropped anywhere on the page, highlighting the drop zone while dragging
+     */
+    setupFileDrop() {
+        let dragDepth = 0;
+        
+        document.addEventListener('dragenter', (event) => {
+            if (!event.dataTransfer.types.includes('Files')) return;
+            event.preventDefault();
+            dragDepth++;
+            this.dropZone.classList.add('drag-over');
+        });
+        
+        document.addEventListener('dragover', (event) => {
+            if (!event.dataTransfer.types.includes('Files')) return;
+            event.preventDefault();
+            event.dataTransfer.dropEffect = 'copy';
+        });
+        
+        document.addEventListener('dragleave', () => {
+            dragDepth = Math.max(0, dragDepth - 1);
+            if (dragDepth === 0) {
+                this.dropZone.classList.remove('drag-over');
+            }
+        });
+        
+        document.addEventListener('drop', (event) => {
+            event.preventDefault();
+            dragDepth = 0;
+            this.dropZone.classList.remove('drag-over');
+            
+            const file = event.dataTransfer.files[0];
+            if (file) {
+                this.loadTabFromFile(file);
+            }
+        });
+    }
 
     /**
      * Convert legacy subdivision/duration format to beatPosition/beatDuration
@@ -269,8 +759,8 @@ class GuitarTabPlayer {
             for (const note of measure.notes) {
                 // Only add if it doesn't already exist
                 if (note.globalBeatPosition === undefined) {
-                    // Calculate global beat position: measure offset + local beat position
-                    note.globalBeatPosition = (measureIndex * 4) + note.beatPosition;
+                    // Calculate global beat position: measure offset from the timeline + local beat position
+                    note.globalBeatPosition = this.sequencer.getMeasureStartBeat(measureIndex) + note.beatPosition;
                 }
             }
             
@@ -320,7 +810,7 @@ class GuitarTabPlayer {
             
             this.instrumentConfig = {
                 name: 'Inferred Instrument',
-                strings: this.tuning.map((name, i) => ({ name, midiNote: 40 + i }))
+                strings: this.tuning.map((name, i) => ({ name, midiNote: this.audioEngine.getDefaultMidiNote(i) }))
             };
         }
         
@@ -328,11 +818,21 @@ class GuitarTabPlayer {
     }
 
     setupFromTabData() {
+        // Setup audio system with tab data (builds the measure timeline from time signatures)
+        this.sequencer.setTabData(this.tabData);
+        this.layout = null;
+        
         // Add globalBeatPosition for notes that don't have it (new format from desktop)
         this.addGlobalBeatPositions();
+        this.indexNotesByBeat();
+        this.carriedBeats = RhythmNotation.getCarriedBeats(
+            this.tabData.measures.map(measure => measure.notes),
+            this.sequencer.measureTimeline.map(entry => entry.beats)
+        );
         
         // Handle instrument configuration from version 2 format
         this.setupInstrumentConfig();
+        this.audioEngine.setInstrumentConfig(this.instrumentConfig);
         
         // Update UI with tab data
         if (this.tabData.title) {
@@ -340,14 +840,16 @@ class GuitarTabPlayer {
         }
         
         if (this.tabData.tempo) {
-            this.currentTempo = this.tabData.tempo;
+            this.currentTempo = Math.max(TabSequencer.MIN_TEMPO, Math.min(TabSequencer.MAX_TEMPO, this.tabData.tempo));
             this.updateTempoDisplay();
         }
 
-        // Setup audio system with tab data
-        this.sequencer.setTabData(this.tabData);
         this.sequencer.setTempo(this.currentTempo);
         
+        // The speed trainer works up to the tab's tempo by default
+        this.trainerTargetInput.value = this.currentTempo;
+        this.updateSpeedTrainer();
+        
         // Initialize loop range to all measures
         this.loopEndMeasure = this.tabData.measures.length;
         this.loopEndInput.value = this.loopEndMeasure;
@@ -359,30 +861,151 @@ class GuitarTabPlayer {
         this.renderTab();
     }
 
+    /**
+     * Width available to the tab canvas inside the tab display
+     */
+    getCanvasContainerWidth() {
+        const container = this.tabDisplay;
+        const style = getComputedStyle(container);
+        const border = this.tabCanvas.offsetWidth - this.tabCanvas.clientWidth;
+        return container.clientWidth - parseFloat(style.paddingLeft) - parseFloat(style.paddingRight) - border;
+    }
+
+    /**
+     * Lay the tab out for the current container width and zoom
+     */
+    updateLayout() {
+        this.layoutWidth = this.getCanvasContainerWidth();
+        this.layout = new TabLayout({
+            measures: this.tabData.measures,
+            measureTimeline: this.sequencer.measureTimeline,
+            stringCount: this.stringCount,
+            containerWidth: this.layoutWidth,
+            zoom: this.zoom,
+            showNotation: this.showNotation
+        });
+    }
+
+    /**
+     * Reflow the tab when the display changes width (window resize, rotation)
+     */
+    setupLayoutReflow() {
+        const reflow = () => {
+            if (!this.tabData || this.getCanvasContainerWidth() === this.layoutWidth) return;
+            this.layout = null;
+            this.redrawTab();
+        };
+        
+        let pending = false;
+        const scheduleReflow = () => {
+            if (pending) return;
+            pending = true;
+            requestAnimationFrame(() => {
+                pending = false;
+                reflow();
+            });
+        };
+        
+        if (typeof ResizeObserver !== 'undefined') {
+            new ResizeObserver(scheduleReflow).observe(this.tabDisplay);
+        } else {
+            window.addEventListener('resize', scheduleReflow);
+            window.addEventListener('orientationchange', scheduleReflow);
+        }
+        this.watchPixelRatio();
+    }
+
+    /**
+     * Display size of the canvas relative to the size it was laid out at
+     * (below 1 when CSS max-width shrinks it)
+     */
+    getCanvasDisplayRatio() {
+        const layoutWidth = this.layout.width * this.layout.scale;
+        return this.tabCanvas.clientWidth > 0 ? this.tabCanvas.clientWidth / layoutWidth : 1;
+    }
+
+    /**
+     * Redraw when the device pixel ratio changes (browser zoom, moving the
+     * window to another screen), since the canvas backing store depends on it
+     */
+    watchPixelRatio() {
+        if (typeof matchMedia === 'undefined') return;
+        
+        const query = matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+        query.addEventListener('change', () => {
+            if (this.tabData) {
+                this.redrawTab();
+            }
+            this.watchPixelRatio();
+        }, { once: true });
+    }
+
+    /**
+     * Change the zoom level by a step, keeping it within the supported range
+     */
+    adjustZoom(delta) {
+        const zoom = Math.round((this.zoom + delta) * 100) / 100;
+        this.zoom = Math.max(GuitarTabPlayer.MIN_ZOOM, Math.min(GuitarTabPlayer.MAX_ZOOM, zoom));
+        this.zoomValue.textContent = `${Math.round(this.zoom * 100)}%`;
+        
+        if (this.tabData) {
+            this.layout = null;
+            this.redrawTab();
+        }
+    }
+
+    /**
+     * Show or hide the standard notation staff above the tab
+     */
+    toggleNotation() {
+        this.showNotation = !this.showNotation;
+        this.notationBtn.textContent = this.showNotation ? 'Notation: On' : 'Notation: Off';
+        
+        if (this.tabData) {
+            this.layout = null;
+            this.redrawTab();
+        }
+    }
+
+    /**
+     * Redraw the tab layer, and the playback layer on top of it while playing
+     */
+    redrawTab() {
+        this.renderTab();
+        if (this.isPlaying) {
+            this.renderPlaybackOverlay();
+        }
+    }
+
     renderTab() {
         // GuitarTabEditor-style rendering with authentic colors
         const ctx = this.tabCanvas.getContext('2d');
         
-        // Layout configuration
-        const measuresPerRow = 4; // 4 measures per row like desktop app
-        const measureWidth = 200; // Width per measure
-        const subdivisionWidth = 12; // Space for each subdivision (16 subdivisions per measure)
-        const rowHeight = 180; // Height per row (strings + spacing)
-        const rowCount = Math.ceil(this.tabData.measures.length / measuresPerRow);
-        
-        // Set canvas size based on rows
-        this.tabCanvas.width = 50 + (measuresPerRow * measureWidth) + 50;
-        this.tabCanvas.height = 60 + (rowCount * rowHeight) + 40;
-        
-        // Store these for playback visualizer
-        this.measureWidth = measureWidth;
-        this.subdivisionWidth = subdivisionWidth;
-        this.measuresPerRow = measuresPerRow;
-        this.rowHeight = rowHeight;
+        if (!this.layout) {
+            this.updateLayout();
+        }
+        const layout = this.layout;
+        
+        // Size the canvas to the layout in CSS pixels, with a backing store at the
+        // device pixel ratio so text and lines stay sharp (assigning the size also clears it)
+        const pixelRatio = window.devicePixelRatio || 1;
+        const cssWidth = Math.round(layout.width * layout.scale);
+        const cssHeight = Math.round(layout.height * layout.scale);
+        this.tabCanvas.width = Math.round(cssWidth * pixelRatio);
+        this.tabCanvas.height = Math.round(cssHeight * pixelRatio);
+        this.tabCanvas.style.width = `${cssWidth}px`;
+        this.pixelRatio = pixelRatio;
+        ctx.setTransform(layout.scale * pixelRatio, 0, 0, layout.scale * pixelRatio, 0, 0);
+        
+        // The overlay matches the tab layer; resizing it clears the cursor and highlights
+        this.overlayCanvas.width = this.tabCanvas.width;
+        this.overlayCanvas.height = this.tabCanvas.height;
+        this.overlayCanvas.getContext('2d').setTransform(layout.scale * pixelRatio, 0, 0, layout.scale * pixelRatio, 0, 0);
+        this.overlayDirtyRects = [];
         
         // Clear with black background (matching GuitarTabEditor)
         ctx.fillStyle = '#000000';
-        ctx.fillRect(0, 0, this.tabCanvas.width, this.tabCanvas.height);
+        ctx.fillRect(0, 0, layout.width, layout.height);
         
         // Draw title
         ctx.fillStyle = '#ffffff';
@@ -392,21 +1015,30 @@ class GuitarTabPlayer {
         
         // Use dynamic instrument configuration
         const stringCount = this.stringCount;
-        const lineSpacing = 20;
+        const lineSpacing = layout.lineSpacing;
+        const staffHeight = layout.staffHeight;
         const tuning = this.tuning;
         
+        // Note positions collected while drawing, for the technique symbols
+        const notePositions = new Map();
+        const clef = StandardNotation.getClef(this.audioEngine.tuning);
+        
         // Render each row
-        for (let row = 0; row < rowCount; row++) {
-            const rowY = 60 + (row * rowHeight);
+        layout.rows.forEach((rowLayout, row) => {
+            const staffY = rowLayout.staffY;
+            
+            if (layout.showNotation) {
+                this.drawNotationStaff(ctx, rowLayout, clef);
+            }
             
             // Draw strings for this row
             ctx.strokeStyle = '#cccccc';
             ctx.lineWidth = 1;
             for (let i = 0; i < stringCount; i++) {
-                const y = rowY + 30 + (i * lineSpacing);
+                const y = staffY + (i * lineSpacing);
                 ctx.beginPath();
                 ctx.moveTo(40, y);
-                ctx.lineTo(this.tabCanvas.width - 40, y);
+                ctx.lineTo(rowLayout.endX, y);
                 ctx.stroke();
             }
             
@@ -415,26 +1047,23 @@ class GuitarTabPlayer {
             ctx.font = '12px Arial';
             ctx.textAlign = 'center';
             for (let i = 0; i < stringCount; i++) {
-                const y = rowY + 30 + (i * lineSpacing);
+                const y = staffY + (i * lineSpacing);
                 ctx.fillText(tuning[i], 25, y + 4);
             }
             
             // Draw measures in this row
-            const startMeasure = row * measuresPerRow;
-            const endMeasure = Math.min(startMeasure + measuresPerRow, this.tabData.measures.length);
-            
-            for (let measureIndex = startMeasure; measureIndex < endMeasure; measureIndex++) {
+            for (let measureIndex = rowLayout.startMeasure; measureIndex < rowLayout.endMeasure; measureIndex++) {
                 const measure = this.tabData.measures[measureIndex];
-                const measureInRow = measureIndex - startMeasure;
-                const measureX = 50 + (measureInRow * measureWidth);
-                const measureY = rowY + 30;
+                const box = layout.getMeasure(measureIndex);
+                const measureX = box.contentX;
+                const measureY = staffY;
                 
                 // Draw measure separator
                 ctx.strokeStyle = '#555555';
                 ctx.lineWidth = 2;
                 ctx.beginPath();
-                ctx.moveTo(measureX - 5, measureY - 15);
-                ctx.lineTo(measureX - 5, measureY + (5 * lineSpacing) + 10);
+                ctx.moveTo(box.x, measureY - 15);
+                ctx.lineTo(box.x, measureY + staffHeight + 10);
                 ctx.stroke();
                 
                 // Draw measure background if selected for looping AND loop is enabled
@@ -442,23 +1071,26 @@ class GuitarTabPlayer {
                 const isSelected = this.selectedMeasures.has(measureNumber) && this.isLooping;
                 if (isSelected) {
                     ctx.fillStyle = 'rgba(0, 255, 0, 0.1)';
-                    ctx.fillRect(measureX - 5, measureY - 15, measureWidth, (5 * lineSpacing) + 25);
+                    ctx.fillRect(box.x, measureY - 15, box.width, staffHeight + 25);
                 }
                 
                 // Draw measure number
                 ctx.fillStyle = isSelected ? '#00ff00' : '#ffffff';
                 ctx.font = '14px Arial';
                 ctx.textAlign = 'center';
-                ctx.fillText(`${measureIndex + 1}`, measureX + measureWidth/2, measureY - 20);
+                ctx.fillText(`${measureIndex + 1}`, box.x + box.width / 2, measureY - 20);
                 
-                // Draw subdivision grid lines (16 subdivisions per measure)
-                for (let sub = 1; sub < 16; sub++) {
-                    const gridX = measureX + (sub * subdivisionWidth);
-                    ctx.strokeStyle = sub % 4 === 0 ? '#555555' : '#333333'; // Stronger lines on beat boundaries
+                // Draw subdivision grid lines (one per sixteenth, scaled to fit the time signature)
+                const subdivisionCount = this.getSubdivisionCount(measureIndex);
+                const measureSubdivisionWidth = this.getSubdivisionWidth(measureIndex);
+                const subdivisionsPerBeat = 16 / this.getTimeSignature(measureIndex).denominator;
+                for (let sub = 1; sub < subdivisionCount; sub++) {
+                    const gridX = measureX + (sub * measureSubdivisionWidth);
+                    ctx.strokeStyle = sub % subdivisionsPerBeat === 0 ? '#555555' : '#333333'; // Stronger lines on beat boundaries
                     ctx.lineWidth = 0.5;
                     ctx.beginPath();
                     ctx.moveTo(gridX, measureY - 10);
-                    ctx.lineTo(gridX, measureY + (5 * lineSpacing) + 5);
+                    ctx.lineTo(gridX, measureY + staffHeight + 5);
                     ctx.stroke();
                 }
                 
@@ -466,8 +1098,9 @@ class GuitarTabPlayer {
                 for (const note of measure.notes) {
                     if (note.fret >= 0) {
                         // Use fractional beat positioning that respects triplet regions
-                        const noteX = this.beatPositionToPixelOffset(note.beatPosition, note.string, measureIndex, measureX, subdivisionWidth);
+                        const noteX = this.beatPositionToPixelOffset(note.beatPosition, note.string, measureIndex, measureX, measureSubdivisionWidth);
                         const noteY = measureY + (note.string * lineSpacing);
+                        notePositions.set(note, { x: noteX, y: noteY, row, staffBottom: measureY + ((stringCount - 1) * lineSpacing) });
                         
                         // Draw note background (subtle blue like GuitarTabEditor)
                         ctx.fillStyle = 'rgba(0, 0, 255, 0.2)';
@@ -490,42 +1123,196 @@ class GuitarTabPlayer {
                 }
                 
                 // Draw triplet brackets if they exist for this measure
-                this.drawTripletBrackets(ctx, measureIndex, measureX, measureY, subdivisionWidth, lineSpacing);
+                this.drawTripletBrackets(ctx, measureIndex, measureX, measureY, measureSubdivisionWidth, lineSpacing);
+                
+                this.drawRhythmNotation(ctx, measureIndex, rowLayout.rhythmY);
+                
+                if (layout.showNotation) {
+                    this.drawNotationMeasure(ctx, measureIndex, clef);
+                }
             }
-        }
+        });
+        
+        this.drawTechniques(ctx, notePositions);
     }
 
     /**
-     * Convert beat position to pixel offset, respecting triplet regions
-     * Similar to desktop's TabTrack::beatPositionToPixelOffset
+     * Draw technique symbols: h/p arcs, slide lines, bend arrows, vibrato and palm mute runs
      */
-    beatPositionToPixelOffset(beatPosition, stringIndex, measureIndex, measureX, subdivisionWidth) {
-        // Check if this beat position is in a triplet region
-        if (this.tabData.tripletRegions && this.tabData.tripletRegions[measureIndex]) {
-            const tripletRegions = this.tabData.tripletRegions[measureIndex];
+    drawTechniques(ctx, notePositions) {
+        const bendLabels = { 0.5: '½', 1: 'full', 1.5: '1½', 2: '2' };
+        const previousByString = [];
+        const palmMuteRuns = [];
+        let currentRun = null;
+        
+        // Walk the notes in time order so each legato note can find its predecessor on the string
+        const notes = [...notePositions.keys()].sort((a, b) => a.globalBeatPosition - b.globalBeatPosition);
+        
+        ctx.save();
+        ctx.strokeStyle = '#ffaa00';
+        ctx.fillStyle = '#ffaa00';
+        ctx.lineWidth = 1;
+        ctx.font = '10px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'bottom';
+        
+        for (const note of notes) {
+            const pos = notePositions.get(note);
+            const previous = previousByString[note.string];
+            const prevPos = previous && notePositions.get(previous);
             
-            for (const tripletData of tripletRegions) {
-                if (tripletData.stringIndex === stringIndex) {
-                    const region = tripletData.region;
-                    
-                    // Check if beatPosition is within this triplet region
-                    if (beatPosition >= region.startBeat && beatPosition <= region.endBeat) {
-                        // Calculate position within triplet region
-                        const regionProgress = (beatPosition - region.startBeat) / (region.endBeat - region.startBeat);
-                        
-                        // IMPORTANT: Use regular grid spacing for visual boundaries, not the fractional beat positions
-                        // For 8th note triplets in one beat: visually compressed into 1 beat space on regular grid
-                        const regionStartPixel = measureX + (region.startBeat * 4 * subdivisionWidth);
-                        const regionEndPixel = measureX + (region.endBeat * 4 * subdivisionWidth);
-                        
-                        console.log(`Triplet positioning: beat=${beatPosition}, region=[${region.startBeat}, ${region.endBeat}], progress=${regionProgress}, pixels=[${regionStartPixel}, ${regionEndPixel}]`);
-                        
-                        // Interpolate within the visually compressed triplet region
-                        return regionStartPixel + regionProgress * (regionEndPixel - regionStartPixel);
-                    }
+            // Legato symbols join the previous note on the same row
+            if (prevPos && prevPos.row === pos.row) {
+                if (note.hammerOn || note.pullOff) {
+                    const midX = (prevPos.x + pos.x) / 2;
+                    ctx.beginPath();
+                    ctx.moveTo(prevPos.x + 6, pos.y - 10);
+                    ctx.quadraticCurveTo(midX, pos.y - 20, pos.x - 6, pos.y - 10);
+                    ctx.stroke();
+                    ctx.fillText(note.hammerOn ? 'h' : 'p', midX, pos.y - 18);
+                } else if (note.slide) {
+                    // '/' for a slide up, '\' for a slide down
+                    const rising = note.fret > previous.fret;
+                    ctx.beginPath();
+                    ctx.moveTo(prevPos.x + 10, pos.y + (rising ? 5 : -5));
+                    ctx.lineTo(pos.x - 10, pos.y + (rising ? -5 : 5));
+                    ctx.stroke();
                 }
             }
-        }
+            
+            if (note.bend) {
+                // 'b' after the fret, then an arrow curving up to the bend amount
+                ctx.textBaseline = 'middle';
+                ctx.textAlign = 'left';
+                ctx.fillText('b', pos.x + 9, pos.y);
+                ctx.textAlign = 'center';
+                ctx.textBaseline = 'bottom';
+                
+                const tipX = pos.x + 18;
+                const tipY = pos.y - 24;
+                ctx.beginPath();
+                ctx.moveTo(pos.x + 10, pos.y - 6);
+                ctx.quadraticCurveTo(tipX, pos.y - 6, tipX, tipY);
+                ctx.stroke();
+                ctx.beginPath();
+                ctx.moveTo(tipX - 3, tipY + 5);
+                ctx.lineTo(tipX, tipY);
+                ctx.lineTo(tipX + 3, tipY + 5);
+                ctx.stroke();
+                ctx.fillText(bendLabels[note.bend / 2] || `${note.bend / 2}`, tipX, tipY - 1);
+            }
+            
+            if (note.vibrato) {
+                this.drawVibrato(ctx, pos.x - 8, pos.y - 14, 18);
+            }
+            
+            // Consecutive palm-muted notes share one P.M. run per row
+            if (note.palmMute) {
+                if (currentRun && currentRun.row === pos.row) {
+                    currentRun.endX = pos.x;
+                    currentRun.y = Math.max(currentRun.y, pos.staffBottom + 18);
+                } else {
+                    currentRun = { row: pos.row, startX: pos.x, endX: pos.x, y: pos.staffBottom + 18 };
+                    palmMuteRuns.push(currentRun);
+                }
+            } else {
+                currentRun = null;
+            }
+            
+            previousByString[note.string] = note;
+        }
+        
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        for (const run of palmMuteRuns) {
+            ctx.fillText('P.M.', run.startX - 10, run.y);
+            if (run.endX > run.startX) {
+                ctx.setLineDash([3, 3]);
+                ctx.beginPath();
+                ctx.moveTo(run.startX + 14, run.y);
+                ctx.lineTo(run.endX + 6, run.y);
+                ctx.stroke();
+                ctx.setLineDash([]);
+                ctx.beginPath();
+                ctx.moveTo(run.endX + 6, run.y - 4);
+                ctx.lineTo(run.endX + 6, run.y + 4);
+                ctx.stroke();
+            }
+        }
+        
+        ctx.restore();
+    }
+
+    /**
+     * Draw a vibrato squiggle (~) of the given width
+     */
+    drawVibrato(ctx, x, y, width) {
+        ctx.beginPath();
+        ctx.moveTo(x, y);
+        for (let dx = 0; dx <= width; dx++) {
+            ctx.lineTo(x + dx, y - 2 * Math.sin(dx / width * 3 * Math.PI));
+        }
+        ctx.stroke();
+    }
+
+    /**
+     * Parse a measure's time signature (defaults to 4/4)
+     */
+    getTimeSignature(measureIndex) {
+        const measure = this.tabData.measures[measureIndex];
+        const [numerator, denominator] = (measure.timeSignature || '4/4').split('/').map(n => parseInt(n));
+        if (!numerator || !denominator) {
+            return { numerator: 4, denominator: 4 };
+        }
+        return { numerator, denominator };
+    }
+
+    /**
+     * Number of sixteenth-note subdivisions in a measure
+     */
+    getSubdivisionCount(measureIndex) {
+        const beats = this.sequencer.measureTimeline[measureIndex].beats;
+        return Math.max(1, Math.round(beats * 4));
+    }
+
+    /**
+     * Subdivision (sixteenth) width in a measure, from the layout's beat width
+     */
+    getSubdivisionWidth(measureIndex) {
+        return this.layout.getMeasure(measureIndex).beatWidth / 4;
+    }
+
+    /**
+     * Convert beat position to pixel offset, respecting triplet regions
+     * Similar to desktop's TabTrack::beatPositionToPixelOffset
+     */
+    beatPositionToPixelOffset(beatPosition, stringIndex, measureIndex, measureX, subdivisionWidth) {
+        // Check if this beat position is in a triplet region
+        if (this.tabData.tripletRegions && this.tabData.tripletRegions[measureIndex]) {
+            const tripletRegions = this.tabData.tripletRegions[measureIndex];
+            
+            for (const tripletData of tripletRegions) {
+                if (tripletData.stringIndex === stringIndex) {
+                    const region = tripletData.region;
+                    
+                    // Check if beatPosition is within this triplet region
+                    if (beatPosition >= region.startBeat && beatPosition <= region.endBeat) {
+                        // Calculate position within triplet region
+                        const regionProgress = (beatPosition - region.startBeat) / (region.endBeat - region.startBeat);
+                        
+                        // IMPORTANT: Use regular grid spacing for visual boundaries, not the fractional beat positions
+                        // For 8th note triplets in one beat: visually compressed into 1 beat space on regular grid
+                        const regionStartPixel = measureX + (region.startBeat * 4 * subdivisionWidth);
+                        const regionEndPixel = measureX + (region.endBeat * 4 * subdivisionWidth);
+                        
+                        console.log(`Triplet positioning: beat=${beatPosition}, region=[${region.startBeat}, ${region.endBeat}], progress=${regionProgress}, pixels=[${regionStartPixel}, ${regionEndPixel}]`);
+                        
+                        // Interpolate within the visually compressed triplet region
+                        return regionStartPixel + regionProgress * (regionEndPixel - regionStartPixel);
+                    }
+                }
+            }
+        }
         
         // Not in triplet region - use regular fractional positioning
         return measureX + (beatPosition * 4 * subdivisionWidth);
@@ -580,6 +1367,442 @@ class GuitarTabPlayer {
         }
     }
 
+    /**
+     * Draw the measure's rhythm under the staff: stems from rhythmY down, beams
+     * or flags at their feet, dots, ties, rests and triplet numbers
+     */
+    drawRhythmNotation(ctx, measureIndex, rhythmY) {
+        const events = this.getRhythmEvents(measureIndex);
+        const beamGroups = RhythmNotation.getBeamGroups(events, this.getTimeSignature(measureIndex));
+        
+        const stemLength = 28;
+        const stemBottom = rhythmY + stemLength;
+        const beamSpacing = 5;
+        const xOf = (event) => this.layout.beatToX(measureIndex, event.start);
+        
+        ctx.save();
+        ctx.strokeStyle = '#cccccc';
+        ctx.fillStyle = '#cccccc';
+        ctx.lineWidth = 1;
+        
+        events.forEach((event, i) => {
+            const x = xOf(event);
+            
+            if (event.isRest) {
+                this.drawRest(ctx, event, x, rhythmY + stemLength / 2);
+                return;
+            }
+            
+            if (event.value === 'whole') {
+                // No stem: a hollow head at the stem foot
+                ctx.beginPath();
+                ctx.ellipse(x, stemBottom - 3, 4, 3, 0, 0, 2 * Math.PI);
+                ctx.stroke();
+            } else {
+                // Half notes get a short stem, shorter values the full stem
+                ctx.beginPath();
+                ctx.moveTo(x, event.value === 'half' ? rhythmY + stemLength / 2 : rhythmY);
+                ctx.lineTo(x, stemBottom);
+                ctx.stroke();
+            }
+            
+            for (let dot = 0; dot < event.dots; dot++) {
+                ctx.beginPath();
+                ctx.arc(x + 5 + dot * 4, stemBottom - 3, 1.5, 0, 2 * Math.PI);
+                ctx.fill();
+            }
+            
+            if (event.tiedToNext && i + 1 < events.length) {
+                this.drawTie(ctx, x + 2, xOf(events[i + 1]) - 2, stemBottom + 3, 1);
+            } else if (event.tiedToNext) {
+                const rowOffset = stemBottom + 3 - this.layout.getMeasureRow(measureIndex).rhythmY;
+                this.drawBarlineTie(ctx, measureIndex, x + 2, 2, 1, (index) => this.layout.getMeasureRow(index).rhythmY + rowOffset);
+            }
+        });
+        
+        // Beams join the events of a group; a lone event gets flags instead
+        for (const group of beamGroups) {
+            if (group.length === 1) {
+                const event = events[group[0]];
+                const x = xOf(event);
+                for (let level = 0; level < event.beams; level++) {
+                    const y = stemBottom - level * beamSpacing;
+                    ctx.beginPath();
+                    ctx.moveTo(x, y);
+                    ctx.lineTo(x + 7, y - 6);
+                    ctx.stroke();
+                }
+                continue;
+            }
+            
+            for (let g = 0; g < group.length; g++) {
+                const event = events[group[g]];
+                const x = xOf(event);
+                const previous = g > 0 ? events[group[g - 1]] : null;
+                const next = g + 1 < group.length ? events[group[g + 1]] : null;
+                
+                for (let level = 0; level < event.beams; level++) {
+                    const y = stemBottom - level * beamSpacing - 3;
+                    if (next && next.beams > level) {
+                        // Beam to the next stem
+                        ctx.fillRect(x, y, xOf(next) - x + 1, 3);
+                    } else if (!(previous && previous.beams > level)) {
+                        // Nothing to join at this level: a short stub toward the neighbour
+                        const stub = next ? 6 : -6;
+                        ctx.fillRect(Math.min(x, x + stub), y, 6, 3);
+                    }
+                }
+            }
+        }
+        
+        // Triplet numbers under each run of triplets within a beat
+        ctx.font = '10px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        let run = null;
+        const drawRun = () => {
+            if (run) {
+                ctx.fillText('3', (run.startX + run.endX) / 2, stemBottom + 6);
+            }
+            run = null;
+        };
+        for (const event of events) {
+            const beat = Math.floor(event.start + 1e-6);
+            if (!event.isTriplet) {
+                drawRun();
+                continue;
+            }
+            if (run && run.beat !== beat) {
+                drawRun();
+            }
+            if (!run) {
+                run = { beat, startX: xOf(event), endX: xOf(event) };
+            }
+            run.endX = xOf(event);
+        }
+        drawRun();
+        
+        ctx.restore();
+    }
+
+    /**
+     * Draw a row's notation staff lines and clef (in the left margin)
+     */
+    drawNotationStaff(ctx, rowLayout, clef) {
+        const spacing = this.layout.notationLineSpacing;
+        const top = rowLayout.notationY;
+        
+        ctx.save();
+        ctx.strokeStyle = '#cccccc';
+        ctx.fillStyle = '#cccccc';
+        ctx.lineWidth = 1;
+        for (let i = 0; i < 5; i++) {
+            ctx.beginPath();
+            ctx.moveTo(8, top + i * spacing);
+            ctx.lineTo(rowLayout.endX, top + i * spacing);
+            ctx.stroke();
+        }
+        
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        if (clef === 'treble') {
+            ctx.font = `${spacing * 5}px serif`;
+            ctx.fillText(StandardNotation.CLEFS.treble.glyph, 24, top + 2 * spacing);
+            // Written an octave above the sound
+            ctx.font = '9px Arial';
+            ctx.fillText('8', 24, top + 4 * spacing + 14);
+        } else {
+            ctx.font = `${spacing * 4}px serif`;
+            ctx.fillText(StandardNotation.CLEFS.bass.glyph, 24, top + 1.5 * spacing);
+        }
+        ctx.restore();
+    }
+
+    /**
+     * Draw a measure on the notation staff: barline, key and time signature,
+     * then a notehead per chord note (with accidentals, ledger lines, dots and
+     * ties) or a rest for each rhythm event. Stems are left to the rhythm under the tab.
+     */
+    drawNotationMeasure(ctx, measureIndex, clef) {
+        const layout = this.layout;
+        const measures = this.tabData.measures;
+        const measure = measures[measureIndex];
+        const rowLayout = layout.getMeasureRow(measureIndex);
+        const box = layout.getMeasure(measureIndex);
+        const spacing = layout.notationLineSpacing;
+        const top = rowLayout.notationY;
+        const yOf = (position) => layout.getNotationY(measureIndex, position);
+        
+        ctx.save();
+        ctx.strokeStyle = '#cccccc';
+        ctx.fillStyle = '#cccccc';
+        ctx.lineWidth = 1;
+        
+        // Barline
+        ctx.beginPath();
+        ctx.moveTo(box.x, top);
+        ctx.lineTo(box.x, top + 4 * spacing);
+        ctx.stroke();
+        
+        // Key and time signature
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        const header = StandardNotation.getMeasureHeader(measures, measureIndex, measureIndex === rowLayout.startMeasure);
+        let headerX = box.x + StandardNotation.HEADER_PADDING;
+        if (header.key) {
+            ctx.font = `${spacing * 2}px serif`;
+            const glyph = StandardNotation.ACCIDENTAL_GLYPHS[header.key.natural ? 0 : Math.sign(header.key.fifths)];
+            for (const position of StandardNotation.getKeyPositions(header.key.fifths, clef)) {
+                ctx.fillText(glyph, headerX + StandardNotation.KEY_ACCIDENTAL_WIDTH / 2, yOf(position));
+                headerX += StandardNotation.KEY_ACCIDENTAL_WIDTH;
+            }
+        }
+        if (header.timeSignature) {
+            const [numerator, denominator] = header.timeSignature.split('/');
+            const timeX = headerX + StandardNotation.TIME_SIGNATURE_WIDTH / 2;
+            ctx.font = `bold ${spacing * 2}px serif`;
+            ctx.fillText(numerator, timeX, top + spacing);
+            ctx.fillText(denominator, timeX, top + 3 * spacing);
+        }
+        
+        // Chord pitches by start tick, spelled in the measure's key
+        const fifths = StandardNotation.getKeySignature(measure);
+        const keyAlters = StandardNotation.getKeyAlters(fifths);
+        const ticks = RhythmNotation.TICKS_PER_BEAT;
+        const chords = new Map();
+        for (const note of measure.notes) {
+            const midiNote = this.audioEngine.noteEventToMidiNote(note);
+            if (midiNote < 0) continue;
+            const start = Math.round(note.beatPosition * ticks);
+            const pitch = StandardNotation.spell(midiNote + StandardNotation.WRITTEN_OFFSET, fifths);
+            const heads = chords.get(start) || [];
+            if (!heads.some(head => head.step === pitch.step)) {
+                heads.push({ ...pitch, position: StandardNotation.getStaffPosition(pitch.step, clef) });
+            }
+            chords.set(start, heads);
+        }
+        
+        const events = this.getRhythmEvents(measureIndex);
+        const accidentalsInEffect = new Map(); // Step -> alteration set by an accidental earlier in the measure
+        let heads = [];
+        
+        events.forEach((event, i) => {
+            const x = layout.beatToX(measureIndex, event.start);
+            
+            if (event.isRest) {
+                this.drawRest(ctx, event, x, top + 2 * spacing - 2);
+                heads = [];
+                return;
+            }
+            
+            // A tied continuation repeats the previous heads without accidentals;
+            // one opening the measure repeats the chord held over the barline
+            const isTiedFrom = i > 0 && events[i - 1].tiedToNext;
+            if (event.isCarried && i === 0) {
+                heads = this.getCarriedHeads(measureIndex, clef);
+            } else if (!isTiedFrom) {
+                heads = (chords.get(Math.round(event.start * ticks)) || []).slice().sort((a, b) => a.position - b.position);
+                this.drawNotationAccidentals(ctx, heads, x, yOf, keyAlters, accidentalsInEffect);
+            }
+            
+            heads.forEach((head, h) => {
+                // The upper note of a second sits beside the lower one
+                const isShifted = h > 0 && head.position - heads[h - 1].position === 1 && !heads[h - 1].isShifted;
+                head.isShifted = isShifted;
+                const headX = isShifted ? x + 9 : x;
+                const y = yOf(head.position);
+                
+                // Ledger lines below and above the staff
+                for (let position = -2; position >= head.position; position -= 2) {
+                    this.drawLedgerLine(ctx, headX, yOf(position));
+                }
+                for (let position = 10; position <= head.position; position += 2) {
+                    this.drawLedgerLine(ctx, headX, yOf(position));
+                }
+                
+                ctx.beginPath();
+                ctx.ellipse(headX, y, 4.5, 3.5, -0.35, 0, 2 * Math.PI);
+                if (event.value === 'whole' || event.value === 'half') {
+                    ctx.lineWidth = event.value === 'whole' ? 1.5 : 1.2;
+                    ctx.stroke();
+                    ctx.lineWidth = 1;
+                } else {
+                    ctx.fill();
+                }
+                
+                // Dots sit in a space
+                const dotY = yOf(head.position % 2 === 0 ? head.position + 1 : head.position);
+                for (let dot = 0; dot < event.dots; dot++) {
+                    ctx.beginPath();
+                    ctx.arc(headX + 8 + dot * 4, dotY, 1.5, 0, 2 * Math.PI);
+                    ctx.fill();
+                }
+                
+                // Ties curve away from the middle of the staff
+                const direction = head.position >= 4 ? -1 : 1;
+                if (event.tiedToNext && i + 1 < events.length) {
+                    const nextX = layout.beatToX(measureIndex, events[i + 1].start);
+                    this.drawTie(ctx, headX + 5, nextX - 5, y + direction * 4, direction);
+                } else if (event.tiedToNext) {
+                    this.drawBarlineTie(ctx, measureIndex, headX + 5, 5, direction,
+                        (index) => layout.getNotationY(index, head.position) + direction * 4);
+                }
+            });
+        });
+        
+        ctx.restore();
+    }
+
+    /**
+     * Rhythm events of a measure, with notes held over its barlines tied across them
+     */
+    getRhythmEvents(measureIndex) {
+        const measure = this.tabData.measures[measureIndex];
+        const tripletRegions = (this.tabData.tripletRegions && this.tabData.tripletRegions[measureIndex]) || [];
+        const isTiedToNext = (this.carriedBeats[measureIndex + 1] || 0) > 0;
+        return RhythmNotation.getMeasureEvents(measure.notes, this.sequencer.measureTimeline[measureIndex].beats,
+            tripletRegions, this.carriedBeats[measureIndex] || 0, isTiedToNext);
+    }
+
+    /**
+     * Noteheads of the chord held over into a measure: the last chord of the
+     * nearest earlier measure with notes, spelled in that measure's key
+     */
+    getCarriedHeads(measureIndex, clef) {
+        const ticks = RhythmNotation.TICKS_PER_BEAT;
+        for (let index = measureIndex - 1; index >= 0; index--) {
+            const measure = this.tabData.measures[index];
+            const measureTicks = Math.round(this.sequencer.measureTimeline[index].beats * ticks);
+            const chords = RhythmNotation.getChords(measure.notes, measureTicks);
+            if (chords.size === 0) continue;
+            
+            const lastStart = Math.max(...chords.keys());
+            const fifths = StandardNotation.getKeySignature(measure);
+            const heads = [];
+            for (const note of measure.notes) {
+                const midiNote = this.audioEngine.noteEventToMidiNote(note);
+                if (midiNote < 0 || Math.round(note.beatPosition * ticks) !== lastStart) continue;
+                const pitch = StandardNotation.spell(midiNote + StandardNotation.WRITTEN_OFFSET, fifths);
+                if (!heads.some(head => head.step === pitch.step)) {
+                    heads.push({ ...pitch, position: StandardNotation.getStaffPosition(pitch.step, clef) });
+                }
+            }
+            return heads.sort((a, b) => a.position - b.position);
+        }
+        return [];
+    }
+
+    /**
+     * Draw a tie as a shallow curve between two points at the same height,
+     * bowing down (direction 1) or up (-1)
+     */
+    drawTie(ctx, fromX, toX, y, direction) {
+        ctx.beginPath();
+        ctx.moveTo(fromX, y);
+        ctx.quadraticCurveTo((fromX + toX) / 2, y + direction * 6, toX, y);
+        ctx.stroke();
+    }
+
+    /**
+     * Draw a tie from the last event of a measure to the first of the next.
+     * Across a row break it runs to the end of the row and comes in again
+     * before the next row's first note.
+     * @param {number} gap - Space left before the next event
+     * @param {Function} yOf - Tie height in the row holding a measure index
+     */
+    drawBarlineTie(ctx, measureIndex, fromX, gap, direction, yOf) {
+        const layout = this.layout;
+        const next = measureIndex + 1;
+        const toX = layout.beatToX(next, 0) - gap;
+        if (layout.getMeasure(next).row === layout.getMeasure(measureIndex).row) {
+            this.drawTie(ctx, fromX, toX, yOf(measureIndex), direction);
+            return;
+        }
+        this.drawTie(ctx, fromX, layout.getMeasureRow(measureIndex).endX, yOf(measureIndex), direction);
+        this.drawTie(ctx, toX - 14, toX, yOf(next), direction);
+    }
+
+    /**
+     * Draw the accidentals a chord needs: where its spelling differs from the
+     * key, or from an accidental earlier in the measure on the same line or space.
+     * Accidentals close together move to further columns on the left.
+     */
+    drawNotationAccidentals(ctx, heads, x, yOf, keyAlters, accidentalsInEffect) {
+        const columns = [];
+        ctx.font = `${this.layout.notationLineSpacing * 2}px serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        
+        for (const head of heads.slice().reverse()) {
+            const current = accidentalsInEffect.has(head.step) ? accidentalsInEffect.get(head.step) : keyAlters[head.letter];
+            if (head.alter === current) continue;
+            accidentalsInEffect.set(head.step, head.alter);
+            
+            let column = columns.findIndex(positions => positions.every(position => Math.abs(position - head.position) >= 6));
+            if (column < 0) {
+                column = columns.push([]) - 1;
+            }
+            columns[column].push(head.position);
+            ctx.fillText(StandardNotation.ACCIDENTAL_GLYPHS[head.alter], x - 11 - column * 8, yOf(head.position));
+        }
+    }
+
+    drawLedgerLine(ctx, x, y) {
+        ctx.beginPath();
+        ctx.moveTo(x - 8, y);
+        ctx.lineTo(x + 8, y);
+        ctx.stroke();
+    }
+
+    /**
+     * Draw a rest symbol centred on a height
+     */
+    drawRest(ctx, event, x, centerY) {
+        switch (event.value) {
+            case 'whole':
+                // Block hanging below a line
+                ctx.fillRect(x - 4, centerY - 4, 8, 3);
+                break;
+            case 'half':
+                // Block sitting on a line
+                ctx.fillRect(x - 4, centerY - 1, 8, 3);
+                break;
+            case 'quarter':
+                ctx.beginPath();
+                ctx.moveTo(x - 2, centerY - 9);
+                ctx.lineTo(x + 3, centerY - 3);
+                ctx.lineTo(x - 2, centerY + 2);
+                ctx.lineTo(x + 3, centerY + 7);
+                ctx.quadraticCurveTo(x - 4, centerY + 4, x, centerY + 11);
+                ctx.stroke();
+                break;
+            default: {
+                // Eighth and shorter: a slanted stem with one hook per beam
+                const hooks = Math.max(1, event.beams);
+                ctx.beginPath();
+                ctx.moveTo(x + 3, centerY - 6);
+                ctx.lineTo(x - 1, centerY + 4 + (hooks - 1) * 4);
+                ctx.stroke();
+                for (let hook = 0; hook < hooks; hook++) {
+                    const y = centerY - 6 + hook * 4;
+                    ctx.beginPath();
+                    ctx.arc(x - 2 - hook, y + 1, 1.5, 0, 2 * Math.PI);
+                    ctx.fill();
+                    ctx.beginPath();
+                    ctx.moveTo(x - 2 - hook, y + 2);
+                    ctx.lineTo(x + 3 - hook, y);
+                    ctx.stroke();
+                }
+            }
+        }
+        
+        for (let dot = 0; dot < event.dots; dot++) {
+            ctx.beginPath();
+            ctx.arc(x + 7 + dot * 4, centerY - 2, 1.5, 0, 2 * Math.PI);
+            ctx.fill();
+        }
+    }
+
     /**
      * Update the visual representation during playback
      */
@@ -594,12 +1817,15 @@ class GuitarTabPlayer {
      * Auto-scroll to keep the current playback position visible
      */
     autoScrollToPlayback() {
-        const currentMeasure = Math.floor(this.currentBeat / 4);
-        const row = Math.floor(currentMeasure / this.measuresPerRow);
+        const currentMeasure = this.sequencer.getMeasureIndexAtBeat(this.currentBeat);
+        const layout = this.layout;
         
-        // Calculate the target scroll position
-        const rowY = 60 + (row * this.rowHeight);
-        const tabDisplayContainer = this.tabCanvas.parentElement;
+        // Calculate the target scroll position (the layout is scaled by the zoom level
+        // and by any CSS shrinking of the canvas)
+        const displayScale = layout.scale * this.getCanvasDisplayRatio();
+        const rowY = layout.getMeasureRow(currentMeasure).y * displayScale;
+        const rowHeight = layout.rowHeight * displayScale;
+        const tabDisplayContainer = this.tabDisplay;
         
         // Get current scroll position
         const containerHeight = tabDisplayContainer.offsetHeight;
@@ -607,12 +1833,12 @@ class GuitarTabPlayer {
         const scrollBottom = scrollTop + containerHeight;
         
         // Check if current row is visible
-        const rowTop = rowY - 30;
-        const rowBottom = rowY + this.rowHeight;
+        const rowTop = rowY - 30 * displayScale;
+        const rowBottom = rowY + rowHeight;
         
         if (rowTop < scrollTop || rowBottom > scrollBottom) {
             // Scroll to center the current row
-            const targetScroll = rowTop - (containerHeight / 2) + (this.rowHeight / 2);
+            const targetScroll = rowTop - (containerHeight / 2) + (rowHeight / 2);
             tabDisplayContainer.scrollTo({
                 top: Math.max(0, targetScroll),
                 behavior: 'smooth'
@@ -621,43 +1847,70 @@ class GuitarTabPlayer {
     }
 
     /**
-     * Render the tab with playback highlighting
+     * Render the tab with playback highlighting. The tab layer is only drawn
+     * when there is no layout yet; each frame just updates the overlay.
      */
     renderTabWithPlayback() {
-        const ctx = this.tabCanvas.getContext('2d');
+        if (!this.layout) {
+            this.renderTab();
+        }
+        this.renderPlaybackOverlay();
+    }
+
+    /**
+     * Redraw the cursor and active note highlights on the overlay, clearing
+     * only the areas the previous frame drew on
+     */
+    renderPlaybackOverlay() {
+        const ctx = this.overlayCanvas.getContext('2d');
         
-        // Clear and redraw the base tab
-        this.renderTab();
+        for (const rect of this.overlayDirtyRects) {
+            ctx.clearRect(rect.x, rect.y, rect.width, rect.height);
+        }
+        this.overlayDirtyRects = [];
         
-        // Add playback visualization overlays
-        this.drawPlaybackCursor();
-        this.highlightActiveNotes();
+        this.drawPlaybackCursor(ctx);
+        this.highlightActiveNotes(ctx);
+    }
+
+    /**
+     * Remove the cursor and highlights, leaving the tab layer as it is
+     */
+    clearPlaybackOverlay() {
+        const ctx = this.overlayCanvas.getContext('2d');
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, this.overlayCanvas.width, this.overlayCanvas.height);
+        ctx.restore();
+        this.overlayDirtyRects = [];
+    }
+
+    /**
+     * Remember an overlay area drawn on this frame (layout units)
+     */
+    markOverlayDirty(x, y, width, height) {
+        this.overlayDirtyRects.push({ x, y, width, height });
     }
 
     /**
      * Draw the playback cursor line
      */
-    drawPlaybackCursor() {
-        const ctx = this.tabCanvas.getContext('2d');
-        
-        // Calculate cursor position
-        const currentMeasure = Math.floor(this.currentBeat / 4);
-        const beatInMeasure = this.currentBeat % 4;
-        const subdivisionInMeasure = beatInMeasure * 4;
+    drawPlaybackCursor(ctx) {
         
-        // Calculate row and position
-        const row = Math.floor(currentMeasure / this.measuresPerRow);
-        const measureInRow = currentMeasure % this.measuresPerRow;
+        // Calculate cursor position from the measure timeline
+        const currentMeasure = this.sequencer.getMeasureIndexAtBeat(this.currentBeat);
+        const beatInMeasure = this.currentBeat - this.sequencer.getMeasureStartBeat(currentMeasure);
         
-        const cursorX = 50 + (measureInRow * this.measureWidth) + (subdivisionInMeasure * this.subdivisionWidth);
-        const cursorY = 60 + (row * this.rowHeight) + 30;
+        // Position from the layout
+        const cursorX = this.layout.beatToX(currentMeasure, beatInMeasure);
+        const cursorY = this.layout.getMeasureRow(currentMeasure).staffY;
         
         // Draw the cursor line
         ctx.strokeStyle = '#00ff00';
         ctx.lineWidth = 3;
         ctx.beginPath();
         ctx.moveTo(cursorX, cursorY - 15);
-        ctx.lineTo(cursorX, cursorY + (5 * 20) + 10);
+        ctx.lineTo(cursorX, cursorY + this.layout.staffHeight + 10);
         ctx.stroke();
         
         // Draw cursor head (triangle)
@@ -668,50 +1921,48 @@ class GuitarTabPlayer {
         ctx.lineTo(cursorX + 6, cursorY - 25);
         ctx.closePath();
         ctx.fill();
+        
+        this.markOverlayDirty(cursorX - 8, cursorY - 27, 16, this.layout.staffHeight + 39);
     }
 
     /**
      * Highlight notes that are currently playing (group chords into ovals)
      */
-    highlightActiveNotes() {
+    highlightActiveNotes(ctx) {
         if (!this.tabData) return;
         
-        const ctx = this.tabCanvas.getContext('2d');
         const tolerance = 0.1; // Beat tolerance for "current" notes
         
         // Group active notes by measure and subdivision (chord detection)
         const activeChords = {};
         
-        // Find all currently playing notes
-        for (let measureIndex = 0; measureIndex < this.tabData.measures.length; measureIndex++) {
-            const measure = this.tabData.measures[measureIndex];
+        // Only notes starting between the longest note's length before the
+        // current beat and the tolerance after it can be playing
+        const notes = this.notesByBeat;
+        let index = this.findNoteByBeat(this.currentBeat + tolerance);
+        const earliestStart = this.currentBeat - this.maxNoteDuration - tolerance;
+        
+        while (--index >= 0 && notes[index].note.globalBeatPosition >= earliestStart) {
+            const { note, measureIndex } = notes[index];
             
-            for (const note of measure.notes) {
-                if (note.fret >= 0 && note.globalBeatPosition !== undefined) {
-                    // Check if this note is currently active
-                    const noteStart = note.globalBeatPosition;
-                    const noteEnd = noteStart + note.beatDuration;
-                    
-                    if (this.currentBeat >= noteStart - tolerance && 
-                        this.currentBeat <= noteEnd + tolerance) {
-                        
-                        // Group by measure and beat position for chord detection
-                        // Use rounded beat position with higher precision for triplets
-                        const roundedBeatPosition = Math.round(note.beatPosition * 12) / 12; // 12ths precision for triplets
-                        const chordKey = `${measureIndex}-${roundedBeatPosition}`;
-                        
-                        if (!activeChords[chordKey]) {
-                            activeChords[chordKey] = {
-                                measureIndex,
-                                beatPosition: roundedBeatPosition,
-                                notes: []
-                            };
-                        }
-                        
-                        activeChords[chordKey].notes.push(note);
-                    }
-                }
+            // Check if this note is currently active
+            const noteEnd = note.globalBeatPosition + note.beatDuration;
+            if (this.currentBeat > noteEnd + tolerance) continue;
+            
+            // Group by measure and beat position for chord detection
+            // Use rounded beat position with higher precision for triplets
+            const roundedBeatPosition = Math.round(note.beatPosition * 12) / 12; // 12ths precision for triplets
+            const chordKey = `${measureIndex}-${roundedBeatPosition}`;
+            
+            if (!activeChords[chordKey]) {
+                activeChords[chordKey] = {
+                    measureIndex,
+                    beatPosition: roundedBeatPosition,
+                    notes: []
+                };
             }
+            
+            activeChords[chordKey].notes.push(note);
         }
         
         // Draw highlight for each chord/note group
@@ -720,6 +1971,42 @@ class GuitarTabPlayer {
         }
     }
 
+    /**
+     * Sort the sounding notes by global beat so the active ones can be found
+     * without scanning the whole song every frame
+     */
+    indexNotesByBeat() {
+        this.notesByBeat = [];
+        this.maxNoteDuration = 0;
+        
+        this.tabData.measures.forEach((measure, measureIndex) => {
+            for (const note of measure.notes) {
+                if (note.fret >= 0 && note.globalBeatPosition !== undefined) {
+                    this.notesByBeat.push({ note, measureIndex });
+                    this.maxNoteDuration = Math.max(this.maxNoteDuration, note.beatDuration || 0);
+                }
+            }
+        });
+        this.notesByBeat.sort((a, b) => a.note.globalBeatPosition - b.note.globalBeatPosition);
+    }
+
+    /**
+     * Index of the first indexed note starting after a beat
+     */
+    findNoteByBeat(beat) {
+        let low = 0;
+        let high = this.notesByBeat.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (this.notesByBeat[mid].note.globalBeatPosition <= beat) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        return low;
+    }
+
     /**
      * Draw highlight for a chord (group of notes at same time)
      */
@@ -727,28 +2014,29 @@ class GuitarTabPlayer {
         const { measureIndex, beatPosition, notes } = chord;
         
         // Calculate screen positions
-        const row = Math.floor(measureIndex / this.measuresPerRow);
-        const measureInRow = measureIndex % this.measuresPerRow;
-        const measureX = 50 + (measureInRow * this.measureWidth);
+        const measureX = this.layout.getMeasure(measureIndex).contentX;
+        const lineSpacing = this.layout.lineSpacing;
         
         // Use proper beat positioning that respects triplet regions
         // For highlighting, we can use the first note's string as representative
         const firstNote = notes[0];
-        const chordX = this.beatPositionToPixelOffset(beatPosition, firstNote.string, measureIndex, measureX, this.subdivisionWidth);
-        const baseY = 60 + (row * this.rowHeight) + 30;
+        const chordX = this.beatPositionToPixelOffset(beatPosition, firstNote.string, measureIndex, measureX, this.getSubdivisionWidth(measureIndex));
+        const baseY = this.layout.getMeasureRow(measureIndex).staffY;
+        const glow = 20; // Room for the ring's line width and shadow when clearing it
         
         if (notes.length === 1) {
             // Single note - draw circular highlight
-            const noteY = baseY + (notes[0].string * 20);
+            const noteY = baseY + (notes[0].string * lineSpacing);
             
             ctx.shadowColor = '#00ff00';
-            ctx.shadowBlur = 15;
+            ctx.shadowBlur = 15 * this.layout.scale * this.pixelRatio; // Shadows ignore the transform
             ctx.strokeStyle = '#00ff00';
             ctx.lineWidth = 3;
             ctx.beginPath();
             ctx.arc(chordX, noteY, 15, 0, 2 * Math.PI);
             ctx.stroke();
             ctx.shadowBlur = 0;
+            this.markOverlayDirty(chordX - 15 - glow, noteY - 15 - glow, 2 * (15 + glow), 2 * (15 + glow));
             
         } else {
             // Multiple notes (chord) - draw oval highlight
@@ -756,21 +2044,22 @@ class GuitarTabPlayer {
             const minString = stringNumbers[0];
             const maxString = stringNumbers[stringNumbers.length - 1];
             
-            const topY = baseY + (minString * 20);
-            const bottomY = baseY + (maxString * 20);
+            const topY = baseY + (minString * lineSpacing);
+            const bottomY = baseY + (maxString * lineSpacing);
             const centerY = (topY + bottomY) / 2;
             const height = Math.max(30, bottomY - topY + 20);
             const width = 24;
             
             // Draw oval highlight
             ctx.shadowColor = '#00ff00';
-            ctx.shadowBlur = 15;
+            ctx.shadowBlur = 15 * this.layout.scale * this.pixelRatio;
             ctx.strokeStyle = '#00ff00';
             ctx.lineWidth = 3;
             ctx.beginPath();
             ctx.ellipse(chordX, centerY, width/2, height/2, 0, 0, 2 * Math.PI);
             ctx.stroke();
             ctx.shadowBlur = 0;
+            this.markOverlayDirty(chordX - width / 2 - glow, centerY - height / 2 - glow, width + 2 * glow, height + 2 * glow);
         }
     }
 
@@ -810,6 +2099,33 @@ class GuitarTabPlayer {
         }
     }
     
+    toggleMetronome() {
+        const enabled = !this.sequencer.metronomeEnabled;
+        this.sequencer.setMetronome(enabled);
+        this.metronomeBtn.textContent = enabled ? 'Metronome: On' : 'Metronome: Off';
+    }
+    
+    /**
+     * Apply the speed trainer settings. Enabling the trainer also turns looping
+     * on, since it works on loop repetitions.
+     */
+    updateSpeedTrainer() {
+        if (!this.trainerEnabledInput.checked) {
+            this.sequencer.setSpeedTrainer(null);
+            return;
+        }
+        
+        this.sequencer.setSpeedTrainer({
+            startPercent: parseInt(this.trainerStartInput.value) || 70,
+            stepBpm: parseInt(this.trainerStepInput.value) || 5,
+            everyRepetitions: parseInt(this.trainerEveryInput.value) || 1,
+            targetTempo: parseInt(this.trainerTargetInput.value) || this.currentTempo
+        });
+        if (!this.isLooping) {
+            this.toggleLoop();
+        }
+    }
+    
     toggleLoop() {
         this.isLooping = !this.isLooping;
         this.sequencer.setLooping(this.isLooping);
@@ -855,19 +2171,158 @@ class GuitarTabPlayer {
         this.updateLoopRange();
     }
     
+    /**
+     * Download the loaded tab as a Standard MIDI File
+     */
+    exportMidi() {
+        if (!this.tabData) return;
+        
+        try {
+            const bytes = MidiExporter.createMidiFile(this.sequencer, this.audioEngine.tuning, {
+                title: this.tabData.title,
+                tempo: this.currentTempo
+            });
+            this.downloadFile(new Blob([bytes], { type: 'audio/midi' }), this.getExportFileName('mid'));
+        } catch (error) {
+            console.error('MIDI export failed:', error);
+            alert('MIDI export failed: ' + error.message);
+        }
+    }
+
+    /**
+     * Render the tab offline at the current tempo and loop range and download it as a WAV file
+     */
+    async exportAudio() {
+        if (!this.tabData || this.isExportingAudio) return;
+        
+        this.isExportingAudio = true;
+        this.exportAudioBtn.disabled = true;
+        this.exportAudioBtn.textContent = 'Rendering...';
+        
+        try {
+            const buffer = await AudioExporter.renderTab(this.sequencer, this.audioEngine, {
+                tempo: this.currentTempo,
+                voiceType: this.voiceSelect.value
+            });
+            this.downloadFile(new Blob([AudioExporter.encodeWav(buffer)], { type: 'audio/wav' }), this.getExportFileName('wav'));
+        } catch (error) {
+            console.error('Audio export failed:', error);
+            alert('Audio export failed: ' + error.message);
+        } finally {
+            this.isExportingAudio = false;
+            this.exportAudioBtn.disabled = false;
+            this.exportAudioBtn.textContent = 'Export Audio';
+        }
+    }
+
+    /**
+     * Copy the loaded tab to the clipboard as ASCII text
+     */
+    async copyAsciiTab() {
+        if (!this.tabData) return;
+        
+        const text = AsciiTabExporter.createAsciiTab(this.sequencer, this.tuning, {
+            title: this.tabData.title,
+            tempo: this.currentTempo
+        });
+        
+        const copied = await this.copyText(text);
+        this.copyAsciiBtn.textContent = copied ? 'Copied!' : 'Copy failed';
+        clearTimeout(this.copyAsciiTimer);
+        this.copyAsciiTimer = setTimeout(() => {
+            this.copyAsciiBtn.textContent = 'Copy ASCII';
+        }, 1500);
+    }
+
+    /**
+     * Copy a short (binary format) share link for the tab at the current tempo
+     */
+    async copyShareLink() {
+        if (!this.tabData) return;
+        
+        let copied = false;
+        try {
+            const url = TabDataEncoder.createShareUrl(this.tabData, { tempo: this.currentTempo });
+            copied = await this.copyText(url);
+        } catch (error) {
+            console.error('Failed to create share link:', error);
+        }
+        
+        this.shareLinkBtn.textContent = copied ? 'Link copied!' : 'Copy failed';
+        clearTimeout(this.shareLinkTimer);
+        this.shareLinkTimer = setTimeout(() => {
+            this.shareLinkBtn.textContent = 'Copy Link';
+        }, 1500);
+    }
+
+    /**
+     * Put text on the clipboard
+     * @returns {Promise<boolean>} Whether the text was copied
+     */
+    async copyText(text) {
+        try {
+            await navigator.clipboard.writeText(text);
+            return true;
+        } catch (error) {
+            // Clipboard API unavailable (http pages, older browsers): copy through a hidden textarea
+            console.warn('Clipboard API failed, using fallback copy:', error);
+            const textarea = document.createElement('textarea');
+            textarea.value = text;
+            textarea.style.position = 'fixed';
+            textarea.style.opacity = '0';
+            document.body.appendChild(textarea);
+            textarea.select();
+            const copied = document.execCommand('copy');
+            textarea.remove();
+            return copied;
+        }
+    }
+
+    /**
+     * Offer a blob to the user as a file download
+     */
+    downloadFile(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * File name for exports, derived from the tab title
+     */
+    getExportFileName(extension) {
+        const baseName = (this.tabData.title || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+        return `${baseName || 'guitar-tab'}.${extension}`;
+    }
+
     handleCanvasClick(event) {
         if (!this.tabData) return;
         
+        // Click position inside the border, mapped back to the laid-out size when
+        // CSS has scaled the canvas down
         const rect = this.tabCanvas.getBoundingClientRect();
-        const x = event.clientX - rect.left;
-        const y = event.clientY - rect.top;
-        
-        // Calculate which measure was clicked
-        const measureIndex = this.getMeasureFromClick(x, y);
-        if (measureIndex >= 0 && measureIndex < this.tabData.measures.length) {
+        const displayRatio = this.layout ? this.getCanvasDisplayRatio() : 1;
+        const x = (event.clientX - rect.left - this.tabCanvas.clientLeft) / displayRatio;
+        const y = (event.clientY - rect.top - this.tabCanvas.clientTop) / displayRatio;
+        
+        // Find the clicked measure and beat in the layout
+        const hit = this.layout && this.layout.hitTest(x, y);
+        if (hit) {
+            const measureIndex = hit.measureIndex;
+            if (!event.shiftKey) {
+                // Plain click seeks to the clicked beat
+                this.seekToBeat(this.getBeatFromClick(hit));
+                return;
+            }
+            
             const measureNumber = measureIndex + 1;
             
-            // Set loop range to this single measure
+            // Shift+click sets loop range to this single measure
             this.loopStartMeasure = measureNumber;
             this.loopEndMeasure = measureNumber;
             this.loopStartInput.value = measureNumber;
@@ -875,23 +2330,20 @@ class GuitarTabPlayer {
             this.updateLoopRange();
         }
     }
-    
-    getMeasureFromClick(x, y) {
-        // Use the same layout logic as renderTab
-        const measuresPerRow = 4;
-        const measureWidth = 200;
-        const rowHeight = 180;
-        
-        // Calculate row and measure within row
-        const row = Math.floor((y - 60) / rowHeight);
-        const measureInRow = Math.floor((x - 50) / measureWidth);
-        
-        // Calculate absolute measure index
-        const measureIndex = row * measuresPerRow + measureInRow;
+
+    /**
+     * Global beat under a click inside a measure, snapped to the nearest beat
+     * @param {Object} hit - { measureIndex, beatInMeasure } from the layout's hit test
+     */
+    getBeatFromClick(hit) {
+        const { measureIndex, beatInMeasure } = hit;
+        const measureBeats = this.sequencer.measureTimeline[measureIndex].beats;
+        const snappedBeat = Math.max(0, Math.min(Math.round(beatInMeasure), Math.ceil(measureBeats) - 1));
         
-        return measureIndex;
+        return this.sequencer.getMeasureStartBeat(measureIndex) + snappedBeat;
     }
 
+
     pause() {
         this.isPlaying = false;
         this.playPauseBtn.textContent = 'Play';
@@ -914,7 +2366,9 @@ class GuitarTabPlayer {
         
         this.sequencer.stop();
         this.updateProgressBar(0);
-        this.renderTab();
+        if (this.tabData) {
+            this.clearPlaybackOverlay();
+        }
     }
 
     restart() {
@@ -923,20 +2377,22 @@ class GuitarTabPlayer {
     }
 
     adjustTempo(delta) {
-        this.currentTempo = Math.max(60, Math.min(200, this.currentTempo + delta));
-        this.updateTempoDisplay();
+        this.currentTempo = Math.max(TabSequencer.MIN_TEMPO, Math.min(TabSequencer.MAX_TEMPO, this.currentTempo + delta));
         
-        // Update sequencer tempo
+        // Update sequencer tempo (takes effect immediately when playing)
         this.sequencer.setTempo(this.currentTempo);
+        this.updateTempoDisplay();
     }
 
     updateTempoDisplay() {
-        this.tempoValue.textContent = this.currentTempo;
+        // While the speed trainer runs, the header shows the tempo actually playing
+        this.tempoValue.textContent = this.sequencer.isPlaying ? this.sequencer.getTransportTempo() : this.currentTempo;
         this.currentTempoSpan.textContent = this.currentTempo;
     }
 
     updateProgressBar(progress) {
         this.progressBar.style.width = (progress * 100) + '%';
+        this.progressScrubber.style.left = (progress * 100) + '%';
     }
 
     onPlaybackComplete() {
@@ -949,7 +2405,7 @@ class GuitarTabPlayer {
         
         // Reset progress bar and visualization immediately
         this.updateProgressBar(0);
-        this.renderTab(); // Clear highlights and cursor
+        this.clearPlaybackOverlay(); // Clear highlights and cursor
         
     }
 
@@ -957,9 +2413,52 @@ class GuitarTabPlayer {
         this.loadingMessage.style.display = 'none';
     }
 
-    showError(message) {
+    /**
+     * Show the recoverable problems found in a tab that was loaded anyway
+     */
+    showValidationWarnings(report) {
+        if (report.warnings.length === 0) return;
+        
+        this.errorMessage.style.display = 'block';
+        this.errorMessage.classList.add('warning');
+        this.errorTitle.textContent = 'Tab loaded with warnings';
+        this.errorMessage.querySelector('p').textContent = 'Some parts of the tab were ignored or adjusted:';
+        this.renderValidationIssues(report.warnings);
+    }
+
+    /**
+     * List validation issues with their paths (text only, the data may come from anywhere)
+     */
+    renderValidationIssues(issues) {
+        this.validationIssues.innerHTML = '';
+        
+        const maxShown = 20;
+        for (const issue of issues.slice(0, maxShown)) {
+            const item = document.createElement('li');
+            item.className = issue.severity;
+            if (issue.path) {
+                const path = document.createElement('code');
+                path.textContent = issue.path;
+                item.appendChild(path);
+                item.appendChild(document.createTextNode(' '));
+            }
+            item.appendChild(document.createTextNode(issue.message));
+            this.validationIssues.appendChild(item);
+        }
+        
+        if (issues.length > maxShown) {
+            const more = document.createElement('li');
+            more.textContent = `...and ${issues.length - maxShown} more`;
+            this.validationIssues.appendChild(more);
+        }
+    }
+
+    showError(message, report = null) {
         this.loadingMessage.style.display = 'none';
         this.errorMessage.style.display = 'block';
+        this.errorMessage.classList.remove('warning');
+        this.errorTitle.textContent = 'Unable to load tab';
+        this.renderValidationIssues(report ? [...report.errors, ...report.warnings] : []);
         
         const errorP = this.errorMessage.querySelector('p');
         const isMobile = /Android|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
@@ -976,10 +2475,6 @@ class GuitarTabPlayer {
                 mobileMessage += '\n\nThe share URL is very long (' + window.location.href.length + ' characters) which may exceed mobile browser limits.';
             }
             
-            if (typeof pako === 'undefined') {
-                mobileMessage += '\n\nCompression library failed to load on mobile network.';
-            }
-            
             errorP.textContent = mobileMessage;
         } else {
             errorP.textContent = message;
@@ -988,10 +2483,14 @@ class GuitarTabPlayer {
         console.error('Player error:', message);
         console.log('Mobile browser:', isMobile);
         console.log('URL length:', window.location.href.length);
-        console.log('Pako available:', typeof pako !== 'undefined');
     }
 }
 
+// Tab zoom range and step (1 = 100%)
+GuitarTabPlayer.MIN_ZOOM = 0.5;
+GuitarTabPlayer.MAX_ZOOM = 2;
+GuitarTabPlayer.ZOOM_STEP = 0.25;
+
 // Initialize the player when the page loads
 document.addEventListener('DOMContentLoaded', () => {
     window.player = new GuitarTabPlayer();
@@ -0,0 +1,233 @@
+/**
+ * Guitar Tab Web Player - Rhythm Notation
+ * Works out the rhythm shown under the tab staff: one event per chord or rest,
+ * written as note values with dots, ties and triplets, and the beam groups
+ */
+
+class RhythmNotation {
+    /**
+     * Rhythm events of a measure. A chord lasts until its longest note ends or
+     * the next chord starts, and at least the shortest value shown, so every
+     * chord gets a head; the time between is filled with rests. Durations
+     * that no single (dotted) value can show are split into tied values.
+     * A chord held over from the previous measure opens it with tied notes.
+     * @param {Object[]} notes - The measure's notes ({ fret, beatPosition, beatDuration })
+     * @param {number} measureBeats - Measure length in quarter-note beats
+     * @param {Object[]} tripletRegions - Optional [{ region: { startBeat, endBeat } }]
+     * @param {number} carriedBeats - Beats still sounding from the previous measure (from getCarriedBeats)
+     * @param {boolean} isTiedToNext - The last chord carries on into the next measure
+     * @returns {Object[]} Events { start, duration, isRest, value, beams, dots, isTriplet, tiedToNext, isCarried } in beats
+     */
+    static getMeasureEvents(notes, measureBeats, tripletRegions = [], carriedBeats = 0, isTiedToNext = false) {
+        const ticks = RhythmNotation.TICKS_PER_BEAT;
+        const measureTicks = Math.round(measureBeats * ticks);
+        const chords = this.getChords(notes, measureTicks);
+        const starts = [...chords.keys()].sort((a, b) => a - b);
+        const events = [];
+        let position = 0;
+
+        const carried = Math.min(Math.round(carriedBeats * ticks), starts.length > 0 ? starts[0] : measureTicks);
+        if (carried > 0) {
+            this.addValues(events, 0, carried, false, tripletRegions);
+            events.forEach(event => { event.isCarried = true; });
+            position = carried;
+        }
+
+        starts.forEach((start, i) => {
+            if (start > position) {
+                this.addRests(events, position, start, tripletRegions);
+            }
+            const next = i + 1 < starts.length ? starts[i + 1] : measureTicks;
+            const end = Math.min(start + Math.max(chords.get(start), RhythmNotation.MIN_TICKS), next);
+            this.addValues(events, start, end, false, tripletRegions);
+            position = end;
+        });
+        if (position < measureTicks) {
+            this.addRests(events, position, measureTicks, tripletRegions);
+        }
+
+        const last = events[events.length - 1];
+        if (isTiedToNext && last && !last.isRest) {
+            last.tiedToNext = true;
+        }
+        return events;
+    }
+
+    /**
+     * Beats each measure opens with still sounding from before its barline: a
+     * chord held past the end of a measure carries on until the next chord
+     * starts, through any measures without notes of their own
+     * @param {Object[][]} measureNotes - Notes of each measure
+     * @param {number[]} measureBeats - Length of each measure in beats
+     * @returns {number[]} Carried beats per measure (0 for the first)
+     */
+    static getCarriedBeats(measureNotes, measureBeats) {
+        const ticks = RhythmNotation.TICKS_PER_BEAT;
+        const measureTicks = measureBeats.map(beats => Math.round(beats * ticks));
+        const chords = measureNotes.map((notes, i) => this.getChords(notes, measureTicks[i]));
+        const carried = measureNotes.length > 0 ? [0] : [];
+
+        for (let i = 1; i < measureNotes.length; i++) {
+            const previous = chords[i - 1];
+            let overhang;
+            if (previous.size > 0) {
+                const lastStart = Math.max(...previous.keys());
+                overhang = lastStart + previous.get(lastStart) - measureTicks[i - 1];
+            } else {
+                overhang = carried[i - 1] * ticks - measureTicks[i - 1];
+            }
+            const firstStart = chords[i].size > 0 ? Math.min(...chords[i].keys()) : Infinity;
+            carried.push(Math.max(0, Math.min(overhang, firstStart)) / ticks);
+        }
+        return carried;
+    }
+
+    /**
+     * Chords of a measure: start tick -> longest duration in ticks, for the
+     * sounding notes that start inside it
+     */
+    static getChords(notes, measureTicks) {
+        const ticks = RhythmNotation.TICKS_PER_BEAT;
+        const chords = new Map();
+        for (const note of notes) {
+            if (note.fret < 0) continue;
+            const start = Math.round(note.beatPosition * ticks);
+            if (start < 0 || start >= measureTicks) continue;
+            const duration = Math.max(1, Math.round((note.beatDuration || 0) * ticks));
+            chords.set(start, Math.max(chords.get(start) || 0, duration));
+        }
+        return chords;
+    }
+
+    /**
+     * Rests from one tick to another, split at beat boundaries so each beat reads on its own
+     */
+    static addRests(events, from, to, tripletRegions) {
+        const ticks = RhythmNotation.TICKS_PER_BEAT;
+        let start = from;
+        while (start < to) {
+            const beatEnd = (Math.floor(start / ticks) + 1) * ticks;
+            // Whole beats of rest stay together when they start on a beat
+            const end = start % ticks === 0 ? Math.max(beatEnd, to - (to % ticks)) : Math.min(beatEnd, to);
+            this.addValues(events, start, Math.min(end, to), true, tripletRegions);
+            start = Math.min(end, to);
+        }
+    }
+
+    /**
+     * Write a span as note values, largest first, tying notes (not rests) together.
+     * A note too short for any value (a chord right before the next) still gets
+     * the shortest one.
+     */
+    static addValues(events, from, to, isRest, tripletRegions) {
+        const ticks = RhythmNotation.TICKS_PER_BEAT;
+        const isTriplet = this.isTriplet(from, to - from, tripletRegions);
+        // Triplet values sound for two thirds of their written length
+        const scale = isTriplet ? 2 / 3 : 1;
+        const first = events.length;
+
+        let start = from;
+        while (to - start >= RhythmNotation.MIN_TICKS * scale || (!isRest && start === from && to > from)) {
+            const written = (to - start) / scale;
+            const fit = this.getLargestValue(written) || this.getLargestValue(RhythmNotation.MIN_TICKS);
+
+            const duration = Math.min(Math.round(fit.ticks * scale), to - start);
+            events.push({
+                start: start / ticks,
+                duration: duration / ticks,
+                isRest,
+                value: fit.value.name,
+                beams: fit.value.beams,
+                dots: fit.dots,
+                isTriplet,
+                tiedToNext: false,
+                isCarried: false
+            });
+            start += duration;
+        }
+
+        if (!isRest) {
+            for (let i = first; i < events.length - 1; i++) {
+                events[i].tiedToNext = true;
+            }
+        }
+    }
+
+    /**
+     * Largest note value (with up to two dots) no longer than a written length in ticks
+     * @returns {Object|null} { value, dots, ticks }
+     */
+    static getLargestValue(writtenTicks) {
+        const ticks = RhythmNotation.TICKS_PER_BEAT;
+        for (const value of RhythmNotation.VALUES) {
+            const base = value.beats * ticks;
+            for (const dots of [2, 1, 0]) {
+                const length = base * (2 - Math.pow(0.5, dots));
+                if (Number.isInteger(length) && length <= writtenTicks + 0.5) {
+                    return { value, dots, ticks: length };
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * A span is a triplet inside a bracketed triplet region, or when its length
+     * only fits a triplet grid (a third or sixth of a beat, say)
+     */
+    static isTriplet(start, length, tripletRegions) {
+        const ticks = RhythmNotation.TICKS_PER_BEAT;
+        const inRegion = tripletRegions.some(({ region }) => region &&
+            start >= Math.round(region.startBeat * ticks) && start < Math.round(region.endBeat * ticks));
+        if (inRegion) {
+            return true;
+        }
+        const straightGrid = ticks / 8; // Thirty-second notes
+        return length % straightGrid !== 0 && (length * 3 / 2) % straightGrid === 0;
+    }
+
+    /**
+     * Group beamable events (eighths and shorter) that fall in the same beat:
+     * a quarter in simple time, a dotted quarter in compound time (6/8, 9/8, 12/8)
+     * @param {Object[]} events - From getMeasureEvents
+     * @param {Object} timeSignature - { numerator, denominator }
+     * @returns {number[][]} Event indices of each group; single events get flags
+     */
+    static getBeamGroups(events, timeSignature) {
+        const isCompound = timeSignature.denominator === 8 && timeSignature.numerator % 3 === 0 && timeSignature.numerator > 3;
+        const groupBeats = isCompound ? 1.5 : 1;
+        const groups = [];
+        let current = null;
+        let currentBeat = -1;
+
+        events.forEach((event, i) => {
+            const beat = Math.floor(event.start / groupBeats + 1e-6);
+            if (event.isRest || event.beams < 1) {
+                current = null;
+                return;
+            }
+            if (!current || beat !== currentBeat) {
+                current = [];
+                currentBeat = beat;
+                groups.push(current);
+            }
+            current.push(i);
+        });
+
+        return groups;
+    }
+}
+
+// Resolution for rhythm arithmetic (matches the binary share format)
+RhythmNotation.TICKS_PER_BEAT = 96;
+// Shortest value shown, in ticks (a thirty-second note)
+RhythmNotation.MIN_TICKS = 12;
+// Note values, longest first, with their length in quarter-note beats and beam count
+RhythmNotation.VALUES = [
+    { name: 'whole', beats: 4, beams: 0 },
+    { name: 'half', beats: 2, beams: 0 },
+    { name: 'quarter', beats: 1, beams: 0 },
+    { name: 'eighth', beats: 0.5, beams: 1 },
+    { name: 'sixteenth', beats: 0.25, beams: 2 },
+    { name: 'thirty-second', beats: 0.125, beams: 3 }
+];
@@ -0,0 +1,164 @@
+/**
+ * Guitar Tab Web Player - Standard Notation
+ * Pitch spelling and staff positions for the optional notation staff above the
+ * tab: clef choice, key signatures, note names with accidentals, and the clef,
+ * key and time signature shown at the start of measures
+ */
+
+class StandardNotation {
+    /**
+     * Key signature of a measure as a count of sharps (positive) or flats (negative)
+     * @param {Object} measure - Tab measure with an optional keySignature
+     * @returns {number} -7 to 7, 0 (C major) when absent or invalid
+     */
+    static getKeySignature(measure) {
+        const fifths = measure ? this.parseKeySignature(measure.keySignature) : null;
+        return fifths === null ? 0 : fifths;
+    }
+
+    /**
+     * Read a key signature written as a count of fifths (-7 to 7, as MusicXML's
+     * <fifths>) or as a key name: "G", "Bb", "F#", or "Em" for a minor key
+     * @param {number|string} keySignature
+     * @returns {number|null} Sharps (positive) or flats (negative), null when it is not a key
+     */
+    static parseKeySignature(keySignature) {
+        if (Number.isInteger(keySignature)) {
+            return Math.abs(keySignature) <= 7 ? keySignature : null;
+        }
+        const match = typeof keySignature === 'string' && /^\s*([A-Ga-g])([#♯b♭]?)\s*(maj|major|m|min|minor)?\s*$/.exec(keySignature);
+        if (!match) {
+            return null;
+        }
+        const accidental = { '#': 7, '♯': 7, 'b': -7, '♭': -7 }[match[2]] || 0;
+        const isMinor = !!match[3] && !match[3].startsWith('maj');
+        const fifths = StandardNotation.LETTER_FIFTHS[match[1].toUpperCase()] + accidental + (isMinor ? -3 : 0);
+        return Math.abs(fifths) <= 7 ? fifths : null;
+    }
+
+    /**
+     * Clef for an instrument: bass clef for bass tunings, treble otherwise.
+     * Both are written an octave above the sounding pitch, as guitar music is.
+     * @param {number[]} tuning - MIDI note per string
+     * @returns {string} 'treble' or 'bass'
+     */
+    static getClef(tuning) {
+        return tuning.length > 0 && Math.max(...tuning) < StandardNotation.BASS_CLEF_BELOW ? 'bass' : 'treble';
+    }
+
+    /**
+     * Alteration of each letter (C = 0 ... B = 6) in a key
+     * @param {number} fifths - From getKeySignature
+     * @returns {number[]} -1, 0 or 1 per letter
+     */
+    static getKeyAlters(fifths) {
+        const alters = new Array(7).fill(0);
+        const order = fifths >= 0 ? StandardNotation.SHARP_ORDER : StandardNotation.FLAT_ORDER;
+        for (let i = 0; i < Math.abs(fifths); i++) {
+            alters[order[i]] = Math.sign(fifths);
+        }
+        return alters;
+    }
+
+    /**
+     * Spell a written pitch in a key: the key's own note when it fits, then a
+     * natural, then a sharp in sharp keys or a flat in flat keys
+     * @param {number} midiNote - Written MIDI note
+     * @param {number} fifths - Key signature
+     * @returns {Object} { letter, alter, step } where step counts diatonic steps from C-1
+     */
+    static spell(midiNote, fifths) {
+        const pitchClass = ((midiNote % 12) + 12) % 12;
+        const keyAlters = this.getKeyAlters(fifths);
+        const preferred = fifths < 0 ? -1 : 1;
+
+        const candidates = [];
+        StandardNotation.NATURAL_PITCHES.forEach((natural, letter) => {
+            for (const alter of [-1, 0, 1]) {
+                if ((natural + alter + 12) % 12 === pitchClass) {
+                    candidates.push({ letter, alter });
+                }
+            }
+        });
+        const rank = ({ letter, alter }) =>
+            alter === keyAlters[letter] ? 0 : alter === 0 ? 1 : alter === preferred ? 2 : 3;
+        const { letter, alter } = candidates.sort((a, b) => rank(a) - rank(b))[0];
+
+        // B sharp and C flat belong to the octave on the other side of C
+        const octave = Math.floor((midiNote - alter - StandardNotation.NATURAL_PITCHES[letter]) / 12) - 1;
+        return { letter, alter, step: octave * 7 + letter };
+    }
+
+    /**
+     * Staff position of a diatonic step, in half line spaces above the bottom line
+     */
+    static getStaffPosition(step, clef) {
+        return step - StandardNotation.CLEFS[clef].bottomStep;
+    }
+
+    /**
+     * Staff positions of a key signature's accidentals, in the order they are written
+     */
+    static getKeyPositions(fifths, clef) {
+        const positions = fifths >= 0 ? StandardNotation.SHARP_POSITIONS : StandardNotation.FLAT_POSITIONS;
+        const offset = clef === 'bass' ? -2 : 0;
+        return positions.slice(0, Math.abs(fifths)).map(position => position + offset);
+    }
+
+    /**
+     * What a measure shows before its first note: the key signature at the start
+     * of a row or where it changes (naturals when it changes to C major), and the
+     * time signature in the first measure and where it changes
+     * @param {Object[]} measures - Tab measures
+     * @param {number} measureIndex
+     * @param {boolean} isRowStart - The measure starts a row (the clef is drawn in the margin)
+     * @returns {Object} { key: { fifths, natural } or null, timeSignature: '3/4' or null }
+     */
+    static getMeasureHeader(measures, measureIndex, isRowStart) {
+        const fifths = this.getKeySignature(measures[measureIndex]);
+        const previousFifths = measureIndex > 0 ? this.getKeySignature(measures[measureIndex - 1]) : 0;
+        let key = null;
+        if (fifths !== 0 && (isRowStart || fifths !== previousFifths)) {
+            key = { fifths, natural: false };
+        } else if (fifths === 0 && previousFifths !== 0) {
+            key = { fifths: previousFifths, natural: true };
+        }
+
+        const timeSignature = measures[measureIndex].timeSignature || '4/4';
+        const isTimeChange = measureIndex === 0 || timeSignature !== (measures[measureIndex - 1].timeSignature || '4/4');
+        return { key, timeSignature: isTimeChange ? timeSignature : null };
+    }
+
+    /**
+     * Width the header needs before the measure's content, in layout units
+     */
+    static getHeaderWidth(header) {
+        const keyWidth = header.key ? Math.abs(header.key.fifths) * StandardNotation.KEY_ACCIDENTAL_WIDTH : 0;
+        const timeWidth = header.timeSignature ? StandardNotation.TIME_SIGNATURE_WIDTH : 0;
+        return keyWidth || timeWidth ? keyWidth + timeWidth + StandardNotation.HEADER_PADDING : 0;
+    }
+}
+
+// Written pitch of the bottom line (as a diatonic step from C-1) and the glyph of each clef
+StandardNotation.CLEFS = {
+    treble: { bottomStep: 4 * 7 + 2, glyph: '\u{1D11E}' }, // E4
+    bass: { bottomStep: 2 * 7 + 4, glyph: '\u{1D122}' } // G2
+};
+// Tunings whose highest string is below this MIDI note are written in bass clef
+StandardNotation.BASS_CLEF_BELOW = 52;
+// Guitar and bass music is written an octave above the sounding pitch
+StandardNotation.WRITTEN_OFFSET = 12;
+StandardNotation.NATURAL_PITCHES = [0, 2, 4, 5, 7, 9, 11];
+// Sharps in the major key of each natural note (F major has one flat)
+StandardNotation.LETTER_FIFTHS = { F: -1, C: 0, G: 1, D: 2, A: 3, E: 4, B: 5 };
+// Letters in the order sharps and flats are added to a key (C = 0 ... B = 6)
+StandardNotation.SHARP_ORDER = [3, 0, 4, 1, 5, 2, 6];
+StandardNotation.FLAT_ORDER = [6, 2, 5, 1, 4, 0, 3];
+// Treble clef positions of the key signature accidentals (F5 C5 G5 D5 A4 E5 B4 and B4 E5 A4 D5 G4 C5 F4)
+StandardNotation.SHARP_POSITIONS = [8, 5, 9, 6, 3, 7, 4];
+StandardNotation.FLAT_POSITIONS = [4, 7, 3, 6, 2, 5, 1];
+StandardNotation.ACCIDENTAL_GLYPHS = { '-1': '♭', '0': '♮', '1': '♯' };
+// Header widths in layout units
+StandardNotation.KEY_ACCIDENTAL_WIDTH = 8;
+StandardNotation.TIME_SIGNATURE_WIDTH = 18;
+StandardNotation.HEADER_PADDING = 6;
@@ -0,0 +1,204 @@
+/**
+ * Guitar Tab Web Player - Tab Layout
+ * Places measures in rows for the canvas: how many fit per row, how wide each is
+ * and where beats, strings and clicks land. The renderer, the playback cursor and
+ * hit-testing all read positions from here.
+ */
+
+class TabLayout {
+    /**
+     * Lay out a tab. Coordinates are in layout units, which are CSS pixels
+     * divided by the zoom level (the renderer scales the canvas by `scale`).
+     * @param {Object} options - { measures, measureTimeline, stringCount, containerWidth, zoom, showNotation }
+     */
+    constructor(options) {
+        this.scale = options.zoom || 1;
+        this.stringCount = Math.max(1, options.stringCount || 6);
+        this.width = Math.max(TabLayout.MIN_WIDTH, Math.floor(options.containerWidth / this.scale));
+
+        this.lineSpacing = TabLayout.LINE_SPACING;
+        this.staffHeight = (this.stringCount - 1) * this.lineSpacing;
+        // The standard notation staff, when shown, sits in a band above the tab staff
+        this.showNotation = !!options.showNotation;
+        this.notationLineSpacing = TabLayout.NOTATION_LINE_SPACING;
+        this.notationHeight = this.showNotation
+            ? TabLayout.NOTATION_TOP + 4 * this.notationLineSpacing + TabLayout.NOTATION_BOTTOM
+            : 0;
+        this.rowHeight = this.notationHeight + TabLayout.STAFF_TOP + this.staffHeight + TabLayout.STAFF_BOTTOM;
+
+        this.measures = [];
+        this.rows = [];
+        this.layoutRows(options.measures, options.measureTimeline);
+
+        this.height = TabLayout.TOP + this.rows.length * this.rowHeight + TabLayout.BOTTOM;
+        console.log(`Tab layout: ${this.rows.length} rows at ${this.width}px (zoom ${this.scale})`);
+    }
+
+    /**
+     * Fill rows greedily with measures at their natural width, then stretch
+     * every row but the last to the full width. With notation, measures that
+     * show a key or time signature get a header before their content that
+     * is not stretched.
+     */
+    layoutRows(measures, measureTimeline) {
+        const left = TabLayout.MARGIN_LEFT;
+        const available = this.width - left - TabLayout.MARGIN_RIGHT;
+
+        const widths = measures.map((measure, i) =>
+            Math.min(available, this.getNaturalWidth(measure, measureTimeline[i].beats)));
+        const headerWidth = (i, isRowStart) => this.showNotation
+            ? StandardNotation.getHeaderWidth(StandardNotation.getMeasureHeader(measures, i, isRowStart))
+            : 0;
+
+        let start = 0;
+        while (start < measures.length) {
+            const headers = [headerWidth(start, true)];
+            widths[start] = Math.min(widths[start], available - headers[0]);
+            let end = start + 1;
+            let total = widths[start] + headers[0];
+            while (end < measures.length) {
+                const header = headerWidth(end, false);
+                if (total + widths[end] + header > available) break;
+                headers.push(header);
+                total += widths[end] + header;
+                end++;
+            }
+
+            const headerTotal = headers.reduce((sum, header) => sum + header, 0);
+            const isLastRow = end === measures.length;
+            const stretch = isLastRow ? 1 : Math.max(1, (available - headerTotal) / (total - headerTotal));
+            const rowIndex = this.rows.length;
+            const y = TabLayout.TOP + rowIndex * this.rowHeight;
+            let x = left;
+
+            for (let i = start; i < end; i++) {
+                const header = headers[i - start];
+                const width = widths[i] * stretch + header;
+                this.measures.push({
+                    row: rowIndex,
+                    x,
+                    width,
+                    headerWidth: header,
+                    contentX: x + header + TabLayout.MEASURE_PADDING,
+                    beatWidth: (width - header - 2 * TabLayout.MEASURE_PADDING) / measureTimeline[i].beats
+                });
+                x += width;
+            }
+
+            const staffY = y + this.notationHeight + TabLayout.STAFF_TOP;
+            this.rows.push({
+                y,
+                notationY: this.showNotation ? y + TabLayout.NOTATION_TOP : null,
+                staffY,
+                rhythmY: staffY + this.staffHeight + TabLayout.RHYTHM_TOP,
+                startMeasure: start,
+                endMeasure: end,
+                endX: x
+            });
+            start = end;
+        }
+    }
+
+    /**
+     * Width a measure needs: BEAT_WIDTH per beat, widened so the closest
+     * notes are at least MIN_NOTE_SPACING apart
+     */
+    getNaturalWidth(measure, beats) {
+        const onsets = [...new Set(measure.notes
+            .filter(note => note.fret >= 0)
+            .map(note => Math.round(note.beatPosition * 1000) / 1000))]
+            .sort((a, b) => a - b);
+
+        let closest = Infinity;
+        for (let i = 1; i < onsets.length; i++) {
+            closest = Math.min(closest, onsets[i] - onsets[i - 1]);
+        }
+
+        const beatWidth = Math.min(TabLayout.MAX_BEAT_WIDTH,
+            Math.max(TabLayout.BEAT_WIDTH, TabLayout.MIN_NOTE_SPACING / closest));
+        return beats * beatWidth + 2 * TabLayout.MEASURE_PADDING;
+    }
+
+    /**
+     * @returns {Object} { row, x, width, headerWidth, contentX, beatWidth } of a measure
+     */
+    getMeasure(measureIndex) {
+        return this.measures[Math.max(0, Math.min(measureIndex, this.measures.length - 1))];
+    }
+
+    /**
+     * @returns {Object} { y, notationY, staffY, rhythmY, startMeasure, endMeasure, endX } of the row
+     * holding a measure (notationY is the notation staff's top line, null when it is hidden)
+     */
+    getMeasureRow(measureIndex) {
+        return this.rows[this.getMeasure(measureIndex).row];
+    }
+
+    /**
+     * X of a beat position inside a measure
+     */
+    beatToX(measureIndex, beatInMeasure) {
+        const box = this.getMeasure(measureIndex);
+        return box.contentX + beatInMeasure * box.beatWidth;
+    }
+
+    /**
+     * Y of a notation staff position (half line spaces above the bottom line)
+     * in the row holding a measure
+     */
+    getNotationY(measureIndex, position) {
+        const row = this.getMeasureRow(measureIndex);
+        return row.notationY + (8 - position) * this.notationLineSpacing / 2;
+    }
+
+    /**
+     * Y of a string line in the row holding a measure
+     */
+    getStringY(measureIndex, stringIndex) {
+        return this.getMeasureRow(measureIndex).staffY + stringIndex * this.lineSpacing;
+    }
+
+    /**
+     * Measure and beat under a point on the canvas
+     * @param {number} x - CSS pixels from the canvas's left edge
+     * @param {number} y - CSS pixels from the canvas's top edge
+     * @returns {Object|null} { measureIndex, beatInMeasure }, or null outside the measures
+     */
+    hitTest(x, y) {
+        const layoutX = x / this.scale;
+        const layoutY = y / this.scale;
+
+        const rowIndex = Math.floor((layoutY - TabLayout.TOP) / this.rowHeight);
+        const row = this.rows[rowIndex];
+        if (!row) return null;
+
+        for (let i = row.startMeasure; i < row.endMeasure; i++) {
+            const box = this.measures[i];
+            if (layoutX >= box.x && layoutX < box.x + box.width) {
+                return { measureIndex: i, beatInMeasure: (layoutX - box.contentX) / box.beatWidth };
+            }
+        }
+        return null;
+    }
+}
+
+// Vertical layout: title area, then rows of staff with room above for measure
+// numbers and techniques and below for palm mutes and the rhythm notation.
+// The optional notation staff above leaves room for ledger lines on both sides.
+TabLayout.TOP = 60;
+TabLayout.BOTTOM = 40;
+TabLayout.STAFF_TOP = 30;
+TabLayout.STAFF_BOTTOM = 95; // Palm mutes, then the rhythm stems, beams and tuplet numbers
+TabLayout.RHYTHM_TOP = 32; // From the lowest string to the top of the rhythm stems
+TabLayout.LINE_SPACING = 20;
+TabLayout.NOTATION_TOP = 44;
+TabLayout.NOTATION_BOTTOM = 36;
+TabLayout.NOTATION_LINE_SPACING = 8;
+// Horizontal layout: room for the string names on the left
+TabLayout.MARGIN_LEFT = 45;
+TabLayout.MARGIN_RIGHT = 20;
+TabLayout.MIN_WIDTH = 280;
+TabLayout.MEASURE_PADDING = 10;
+TabLayout.BEAT_WIDTH = 48;
+TabLayout.MAX_BEAT_WIDTH = 192;
+TabLayout.MIN_NOTE_SPACING = 24;
@@ -0,0 +1,189 @@
+/**
+ * Guitar Tab Web Player - Tab Library
+ * IndexedDB store of saved tabs, so they can be reopened offline without the original link
+ */
+
+class TabLibrary {
+    constructor() {
+        this.dbPromise = null;
+    }
+
+    /**
+     * Open (and on first use create) the database
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') {
+                    reject(new Error('This browser does not support IndexedDB'));
+                    return;
+                }
+                const request = indexedDB.open(TabLibrary.DB_NAME, TabLibrary.DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(TabLibrary.STORE_NAME)) {
+                        const store = db.createObjectStore(TabLibrary.STORE_NAME, { keyPath: 'id', autoIncrement: true });
+                        store.createIndex('sourceUrl', 'sourceUrl');
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            // Allow a retry after a failure (e.g. storage blocked in private browsing)
+            this.dbPromise.catch(() => {
+                this.dbPromise = null;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Run requests in one transaction and resolve with the value the callback
+     * leaves in result.value once the transaction has committed
+     */
+    async transaction(mode, callback) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(TabLibrary.STORE_NAME, mode);
+            const result = { value: undefined };
+            tx.oncomplete = () => resolve(result.value);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('The library transaction was aborted'));
+            callback(tx.objectStore(TabLibrary.STORE_NAME), result);
+        });
+    }
+
+    /**
+     * Save a tab. A tab saved again from the same link replaces the stored copy
+     * and keeps its name and tags.
+     * @param {Object} tabData - Tab data as decoded (without player additions)
+     * @param {Object} options - Optional { name, tags, sourceUrl }
+     * @returns {Promise<Object>} The stored entry
+     */
+    save(tabData, options = {}) {
+        const now = Date.now();
+        return this.transaction('readwrite', (store, result) => {
+            const putEntry = (entry) => {
+                store.put(entry).onsuccess = (event) => {
+                    entry.id = event.target.result;
+                    result.value = entry;
+                };
+            };
+
+            const entry = {
+                name: options.name || tabData.title || 'Untitled tab',
+                tags: options.tags || [],
+                tabData,
+                savedAt: now,
+                updatedAt: now
+            };
+            if (!options.sourceUrl) {
+                putEntry(entry);
+                return;
+            }
+
+            entry.sourceUrl = options.sourceUrl;
+            store.index('sourceUrl').get(options.sourceUrl).onsuccess = (event) => {
+                const existing = event.target.result;
+                putEntry(existing ? { ...existing, tabData, updatedAt: now } : entry);
+            };
+        });
+    }
+
+    /**
+     * @returns {Promise<Object|undefined>} The entry with this id
+     */
+    get(id) {
+        return this.transaction('readonly', (store, result) => {
+            store.get(id).onsuccess = (event) => {
+                result.value = event.target.result;
+            };
+        });
+    }
+
+    /**
+     * All entries, most recently changed first
+     * @returns {Promise<Object[]>}
+     */
+    async list() {
+        const entries = await this.transaction('readonly', (store, result) => {
+            store.getAll().onsuccess = (event) => {
+                result.value = event.target.result;
+            };
+        });
+        return entries.sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    /**
+     * Entries whose name, title or tags contain every word of the query
+     * (case-insensitive); "tag:riff" only matches tags
+     * @param {string} query
+     * @returns {Promise<Object[]>}
+     */
+    async search(query) {
+        const terms = query.toLowerCase().split(/\s+/).filter(term => term);
+        const entries = await this.list();
+        if (terms.length === 0) {
+            return entries;
+        }
+
+        return entries.filter(entry => {
+            const tags = entry.tags.map(tag => tag.toLowerCase());
+            const text = [entry.name, entry.tabData.title || '', ...tags].join('\n').toLowerCase();
+            return terms.every(term => term.startsWith('tag:')
+                ? tags.some(tag => tag.includes(term.substring(4)))
+                : text.includes(term));
+        });
+    }
+
+    rename(id, name) {
+        return this.update(id, { name: name.trim() || 'Untitled tab' });
+    }
+
+    setTags(id, tags) {
+        return this.update(id, { tags: TabLibrary.parseTags(tags) });
+    }
+
+    /**
+     * Merge changes into an entry and bump its updatedAt
+     * @returns {Promise<Object>} The updated entry
+     */
+    update(id, changes) {
+        return this.transaction('readwrite', (store, result) => {
+            store.get(id).onsuccess = (event) => {
+                const entry = event.target.result;
+                if (!entry) return;
+                Object.assign(entry, changes, { updatedAt: Date.now() });
+                store.put(entry);
+                result.value = entry;
+            };
+        });
+    }
+
+    remove(id) {
+        return this.transaction('readwrite', (store) => {
+            store.delete(id);
+        });
+    }
+
+    /**
+     * Tags from a comma-separated string (or an array), trimmed and without duplicates
+     * @param {string|string[]} tags
+     * @returns {string[]}
+     */
+    static parseTags(tags) {
+        const list = Array.isArray(tags) ? tags : tags.split(',');
+        const seen = new Set();
+        return list.map(tag => tag.trim()).filter(tag => {
+            const key = tag.toLowerCase();
+            if (!tag || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+}
+
+TabLibrary.DB_NAME = 'guitar-tab-player';
+TabLibrary.DB_VERSION = 1;
+TabLibrary.STORE_NAME = 'tabs';
@@ -0,0 +1,85 @@
+/**
+ * Guitar Tab Web Player - Service Worker
+ * Caches the player so it opens and plays offline. Share links keep working
+ * offline too: the tab data is in the URL fragment, which is never fetched.
+ */
+
+const CACHE_NAME = 'guitar-tab-player-v10';
+
+// Bump CACHE_NAME when this list or any cached file changes
+const APP_FILES = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'css/player.css',
+    'js/inflate.js',
+    'js/decoder.js',
+    'js/encoder.js',
+    'js/ascii-import.js',
+    'js/musicxml-import.js',
+    'js/guitarpro-import.js',
+    'js/audio.js',
+    'js/karplus-strong-processor.js',
+    'js/midi-export.js',
+    'js/audio-export.js',
+    'js/ascii-export.js',
+    'js/tab-layout.js',
+    'js/rhythm-notation.js',
+    'js/standard-notation.js',
+    'js/tab-library.js',
+    'js/player.js'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    // Drop caches from older versions
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+/**
+ * Serve from the cache and refresh the cached copy from the network in the
+ * background, so the player starts instantly and picks up updates on the next load
+ */
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) {
+        return;
+    }
+
+    event.respondWith(
+        caches.open(CACHE_NAME).then(async (cache) => {
+            const isPage = request.mode === 'navigate';
+            const cached = await cache.match(request, { ignoreSearch: isPage }) || (isPage ? await cache.match('index.html') : undefined);
+
+            const network = fetch(request)
+                .then(response => {
+                    if (response.ok && response.type === 'basic') {
+                        cache.put(request, response.clone());
+                    }
+                    return response;
+                })
+                .catch(error => {
+                    if (!cached) throw error;
+                    return cached;
+                });
+
+            if (cached) {
+                event.waitUntil(network.catch(() => {}));
+                return cached;
+            }
+            return network;
+        })
+    );
+});